@@ -1,13 +1,186 @@
 import { WebSocketServer } from 'ws';
-const wss = new WebSocketServer({ port: process.env.PORT || 8080 });
+import { createHash, timingSafeEqual } from 'crypto';
+import { PROTOCOL_VERSION, CLOSE_CODES as CLOSE, isHostOnly, isCueMessage, isSkipList, cueLifetimeMs, validateMessage } from './src/protocol.js';
+
+const digest = (key) => createHash('sha256').update(String(key)).digest();
+
+// Empty rooms (and their config / host key) are forgotten after this long
+const ROOM_TTL_MS = Number(process.env.ROOM_TTL_MS) || 10 * 60 * 1000;
+
+// Limits
+const MAX_MESSAGE_BYTES = Number(process.env.MAX_MESSAGE_BYTES) || 16 * 1024;
+const MAX_ROOMS = Number(process.env.MAX_ROOMS) || 500;
+const MAX_PEERS_PER_ROOM = Number(process.env.MAX_PEERS_PER_ROOM) || 32;
+const RATE_BURST = Number(process.env.RATE_BURST) || 40;        // token bucket size per connection
+const RATE_PER_SEC = Number(process.env.RATE_PER_SEC) || 20;    // refill rate
+// The verified host fans out to the whole room (CONFIG, PONGs, ACKs, cues), so it gets a larger bucket
+const HOST_RATE_BURST = Number(process.env.HOST_RATE_BURST) || 200;
+const HOST_RATE_PER_SEC = Number(process.env.HOST_RATE_PER_SEC) || 100;
+const MAX_STRIKES = 20;                                          // dropped messages within STRIKE_WINDOW_MS before the socket is closed
+const STRIKE_WINDOW_MS = 10 * 1000;
+
+/**
+ * Envelope check: { room?, payload } (or a bare payload) for this room, with a payload that passes
+ * the shared protocol validation. Returns { payload } or { error, version? }.
+ */
+function checkEnvelope(msg, room) {
+  if (!msg || typeof msg !== 'object' || Array.isArray(msg)) return { error: 'invalid message' };
+  if (msg.room !== undefined && msg.room !== room) return { error: 'wrong room' };
+  const payload = msg.payload || msg;
+  const check = validateMessage(payload);
+  return check.ok ? { payload } : check;
+}
+
+/** Per-connection token bucket; take() is false when the connection is over its rate. */
+function mkBucket(burst = RATE_BURST, perSec = RATE_PER_SEC) {
+  let tokens = burst;
+  let last = Date.now();
+  return {
+    take() {
+      const now = Date.now();
+      tokens = Math.min(burst, tokens + ((now - last) / 1000) * perSec);
+      last = now;
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    },
+  };
+}
+
+/**
+ * Per-room state, so sockets that connect late (or reconnect) can be brought up to date:
+ * the latest CONFIG, the roster of identified clients and the cues still in flight.
+ */
+function mkRoom() {
+  return {
+    peers: new Set(),
+    hostKeyHash: null,            // set by the first HOST_CLAIM, if it comes before anyone joined (see registersHost)
+    config: null,                 // last CONFIG payload from the host
+    roster: new Map(),            // clientId → { name }
+    cues: new Map(),              // cueId → { payload, expiresAt, answered: Set<clientId> }
+    idleTimer: null,
+  };
+}
+
 const rooms = new Map();
+
+/**
+ * Whether a HOST_CLAIM may register the room's key: the host claims as soon as it connects, so only as a
+ * socket's first message, and only while nobody has joined the room (else anyone knowing the code could
+ * take the lobby before its host connects, or after the room expired).
+ */
+function registersHost(state, ws) {
+  return !ws.spoke && state.roster.size === 0 && ![...state.peers].some((p) => p.clientId || p.spoke);
+}
+
+function pruneCues(state, now = Date.now()) {
+  for (const [id, c] of state.cues) if (c.expiresAt <= now) state.cues.delete(id);
+}
+
+/** Track roster / config / cue state from a message the relay is forwarding. */
+function observe(state, ws, payload) {
+  const { type, from } = payload;
+  if (from && !ws.isHost && !ws.clientId) ws.clientId = from;
+  if (type === 'CONFIG') state.config = payload;
+  else if (type === 'HELLO' || (type === 'HEARTBEAT' && !state.roster.has(from))) state.roster.set(from, { name: payload.name });
+  else if (type === 'NAME' && state.roster.has(payload.to)) state.roster.set(payload.to, { name: payload.name });
+  else if (type === 'BYE') state.roster.delete(from);
+  else if (type === 'KICK') state.roster.delete(payload.to);
+  else if (isCueMessage(payload)) {
+    pruneCues(state);
+    state.cues.set(payload.cue, { payload, expiresAt: Date.now() + cueLifetimeMs(payload, state.config?.config), answered: new Set() });
+  } else if ((type === 'QTE_RESULT' || type === 'SEQ_DONE' || (type === 'SEQ_STEP_RESULT' && payload.timeout)) && payload.cue) {
+    state.cues.get(payload.cue)?.answered.add(from);
+  }
+}
+
+const wss = new WebSocketServer({ port: process.env.PORT || 8080, maxPayload: MAX_MESSAGE_BYTES });
 wss.on('connection', (ws, req) => {
-  const room = new URL(req.url, 'http://x').searchParams.get('room') || 'default';
-  if (!rooms.has(room)) rooms.set(room, new Set());
-  const peers = rooms.get(room);
+  const room = (new URL(req.url, 'http://x').searchParams.get('room') || 'default').slice(0, 64);
+  if (!rooms.has(room) && rooms.size >= MAX_ROOMS) return ws.close(CLOSE.TOO_MANY_ROOMS, 'too many rooms');
+  if (rooms.get(room)?.peers.size >= MAX_PEERS_PER_ROOM) return ws.close(CLOSE.ROOM_FULL, 'room full');
+  if (!rooms.has(room)) rooms.set(room, mkRoom());
+  const state = rooms.get(room);
+  clearTimeout(state.idleTimer);
+  const peers = state.peers;
   peers.add(ws);
-  ws.on('message', msg => {
-    for (const peer of peers) if (peer !== ws && peer.readyState === 1) peer.send(msg);
+  ws.isHost = false;
+  ws.clientId = null;
+  ws.spoke = false;               // sent anything besides HOST_CLAIM
+  let bucket = mkBucket();
+  let strikes = 0;
+  let strikesSince = Date.now();
+  const reply = (msg) => { if (ws.readyState === 1) ws.send(JSON.stringify({ room, ...msg })); };
+  // Drop a message; sockets that keep offending within one window are disconnected
+  const strike = (code, reason, type) => {
+    const now = Date.now();
+    if (now - strikesSince > STRIKE_WINDOW_MS) { strikes = 0; strikesSince = now; }
+    if (++strikes >= MAX_STRIKES) return ws.close(code, reason);
+    reply({ control: 'REJECTED', type, reason });
+  };
+
+  // Occupancy + latest config for the newcomer
+  reply({
+    control: 'ROOM_INFO',
+    protocol: PROTOCOL_VERSION,
+    peers: peers.size,
+    hasHost: [...peers].some((p) => p.isHost),
+    players: [...state.roster].map(([id, p]) => ({ id, name: p.name })),
+  });
+  if (state.config) reply({ payload: state.config, host: true, replay: true });
+
+  ws.on('message', raw => {
+    if (!bucket.take()) return strike(CLOSE.RATE_LIMITED, 'rate limited');
+    let msg;
+    try { msg = JSON.parse(raw); } catch { return strike(CLOSE.INVALID, 'invalid message'); }
+    // Claim (or, after a reconnect, reclaim) the host role with the lobby secret
+    if (msg && msg.control === 'HOST_CLAIM') {
+      if (typeof msg.hostKey !== 'string' || !msg.hostKey) return reply({ control: 'HOST_DENIED' });
+      const hash = digest(msg.hostKey);
+      if (!state.hostKeyHash) {
+        if (!registersHost(state, ws)) return reply({ control: 'HOST_DENIED' });
+        state.hostKeyHash = hash;
+      }
+      const wasHost = ws.isHost;
+      ws.isHost = timingSafeEqual(hash, state.hostKeyHash);
+      if (ws.isHost !== wasHost) bucket = ws.isHost ? mkBucket(HOST_RATE_BURST, HOST_RATE_PER_SEC) : mkBucket();
+      return reply({ control: ws.isHost ? 'HOST_OK' : 'HOST_DENIED' });
+    }
+    ws.spoke = true;
+    const { payload, error, version } = checkEnvelope(msg, room);
+    // Another protocol version is a stale page, not abuse: tell it which version the room speaks
+    if (version != null) return reply({ control: 'REJECTED', type: msg.payload?.type, reason: 'protocol version', protocol: PROTOCOL_VERSION });
+    if (error) return strike(CLOSE.INVALID, error, msg?.payload?.type ?? msg?.type);
+    if (isHostOnly(payload) && !ws.isHost) return strike(CLOSE.INVALID, 'host only', payload.type);
+    // Once identified, a player socket only speaks for itself
+    if (!ws.isHost && ws.clientId && payload.from && payload.from !== ws.clientId) return strike(CLOSE.INVALID, 'wrong sender', payload.type);
+
+    const wasIdentified = !!ws.clientId;
+    observe(state, ws, payload);
+    // Once a player socket identifies itself, replay the cues it has not answered yet
+    if (!wasIdentified && ws.clientId) {
+      pruneCues(state);
+      for (const c of state.cues.values()) if (!c.answered.has(ws.clientId)) reply({ payload: c.payload, host: true, replay: true });
+    }
+
+    // Re-serialize so the host stamp cannot be forged by the sender
+    const out = JSON.stringify({ room: msg.room, payload, host: ws.isHost });
+    // WebRTC signaling and acknowledgements only travel between a player and the host
+    if (payload.type === 'SIGNAL' || payload.type === 'ACK') {
+      for (const peer of peers) if (peer !== ws && peer.readyState === 1 && (ws.isHost ? peer.clientId === payload.to : peer.isHost)) peer.send(out);
+      return;
+    }
+    // Peers the sender already reached over a DataChannel
+    const skip = new Set(isSkipList(msg.skip) ? msg.skip : []);
+    for (const peer of peers) if (peer !== ws && peer.readyState === 1 && !skip.has(peer.isHost ? 'host' : peer.clientId)) peer.send(out);
+  });
+
+  // Oversized frames (maxPayload) and protocol errors: ws closes the socket itself, just don't crash
+  ws.on('error', () => {});
+
+  ws.on('close', () => {
+    peers.delete(ws);
+    if (ws.clientId && ![...peers].some((p) => p.clientId === ws.clientId)) state.roster.delete(ws.clientId);
+    if (peers.size === 0) state.idleTimer = setTimeout(() => { if (state.peers.size === 0) rooms.delete(room); }, ROOM_TTL_MS);
   });
-  ws.on('close', () => peers.delete(ws));
 });
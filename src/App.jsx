@@ -4,10 +4,14 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/com
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
-import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Select, SelectItem } from "@/components/ui/select";
 import { Badge } from "@/components/ui/badge";
 import { ScrollArea } from "@/components/ui/scroll-area";
-import { Settings, Play, Send, ListOrdered, Trash2, Users } from "lucide-react";
+import { Settings, Play, Pause, Send, ListOrdered, Trash2, Users, Download, Upload } from "lucide-react";
+import {
+  PROTOCOL_VERSION, CUE_TYPES, CUE_KIND_BY_TYPE, CLOSE_REASONS, RELIABLE_TYPES, VOLATILE_TYPES,
+  isHostOnly, isCueMessage, cueDeadlineMs, cueLifetimeMs, validateMessage, make, makeMessage, draft, draftMessage, versionNotice,
+} from "@/protocol";
 
 /**
  * Caveman Hunt – QTE-Only MVP (single-file, **plain React/JS**)
@@ -23,7 +27,7 @@ import { Settings, Play, Send, ListOrdered, Trash2, Users } from "lucide-react";
  */
 
 // -------------------- Types (JSDoc only) --------------------
-/** @typedef {"HOST"|"PLAYER"} Role */
+/** @typedef {"HOST"|"PLAYER"|"SPECTATOR"} Role */
 /**
  * @typedef {Object} LobbyConfig
  * @property {string} code
@@ -33,41 +37,316 @@ import { Settings, Play, Send, ListOrdered, Trash2, Users } from "lucide-react";
  * @property {number=} leniencyMs
  * @property {number=} glowGapMs
  * @property {number=} hostFlashMs
+ * @property {Record<Grade, number>=} points  score awarded per grade
+ * @property {SeqVerdictRule=} seqVerdict  how step grades combine into one sequence grade
+ * @property {WrongPressPolicy=} wrongPress  what a press on the wrong button does during a cue
+ * @property {{staleMs:number, removeMs:number}=} presence  host roster: silence before a player is stale / removed
+ * @property {AdaptiveConfig=} adaptive  per-player thresholds tuned from recent reaction times
+ * @property {Record<string, LobbyConfig["thresholds"]>=} playerThresholds  effective thresholds by client id (set by the host)
  */
+/**
+ * @typedef {Object} AdaptiveConfig
+ * @property {boolean} enabled
+ * @property {number} minScale  hardest: a player's thresholds may shrink to this fraction of the lobby's
+ * @property {number} maxScale  easiest: ... or grow to this multiple
+ * @property {number} window    recent reaction times considered
+ */
+/**
+ * @typedef {Object} WrongPressPolicy
+ * @property {"ignore"|"failure"|"penalty"|"abort"} policy
+ *   ignore: only reported · failure: the cue/step is graded Failure · penalty: penaltyMs is added to the
+ *   eventual reaction time · abort: like failure, and a sequence stops there
+ * @property {number} penaltyMs
+ */
+/**
+ * @typedef {Object} SeqVerdictRule
+ * @property {"worst"|"average"|"misses"} rule
+ * @property {number} misses  for "misses": failed steps tolerated before the sequence fails
+ */
+/** @typedef {"Perfect"|"Success"|"Close call"|"Slow"|"Failure"} Grade */
+/** @typedef {import("./protocol.js").CueKind} CueKind */
+
+// -------------------- Peer-to-peer (WebRTC DataChannel) --------------------
+
+const RTC_CONFIG = { iceServers: [{ urls: "stun:stun.l.google.com:19302" }] };
+const RTC_CONNECT_TIMEOUT_MS = 8000;
+const RTC_MAX_ATTEMPTS = 3; // consecutive failed attempts before a player sticks to the relay (until it reconnects)
+
+/**
+ * A star of DataChannels around the host: each player offers a channel to the host, and the relay only
+ * routes the SIGNAL messages (offer / answer / ICE). Links that fail, time out or close are dropped
+ * and their traffic goes back through the relay.
+ * @param {{isHost:boolean, signal:(fields:object)=>void, deliver:(ev:object)=>void, onChange:(fallback?:string)=>void}} opts
+ */
+function mkRtcStar({ isHost, signal, deliver, onChange }) {
+  /** @type {Map<string, {pc: RTCPeerConnection, dc?: RTCDataChannel, timer?: number}>} player id → link (a player's one link is "host") */
+  const links = new Map();
+  let attempts = 0;
+  let chain = Promise.resolve(); // signaling steps must not interleave
+
+  const isOpen = (id) => links.get(id)?.dc?.readyState === "open";
+  const openIds = () => [...links.keys()].filter(isOpen);
+  const drop = (id, why) => {
+    const link = links.get(id); if (!link) return;
+    links.delete(id); clearTimeout(link.timer);
+    try { link.dc?.close(); link.pc.close(); } catch {}
+    onChange(why);
+  };
+  const mkLink = (id) => {
+    const pc = new RTCPeerConnection(RTC_CONFIG);
+    const link = { pc };
+    links.set(id, link);
+    pc.onicecandidate = (e) => { if (e.candidate) signal({ to: isHost ? id : undefined, candidate: e.candidate.toJSON() }); };
+    pc.onconnectionstatechange = () => { if (pc.connectionState === "failed" || pc.connectionState === "closed") drop(id, `peer-to-peer ${pc.connectionState}`); };
+    link.timer = setTimeout(() => { if (!isOpen(id)) drop(id, "peer-to-peer timed out"); }, RTC_CONNECT_TIMEOUT_MS);
+    return link;
+  };
+  const attach = (id, link, dc) => {
+    link.dc = dc;
+    dc.onopen = () => { clearTimeout(link.timer); attempts = 0; onChange(); };
+    dc.onclose = () => drop(id, "peer-to-peer closed");
+    dc.onmessage = (e) => { try { deliver(JSON.parse(e.data)); } catch {} };
+  };
+
+  const handle = async (ev) => {
+    const id = isHost ? ev.from : "host";
+    try {
+      if (isHost && ev.sdp?.type === "offer") {
+        drop(id); // a new offer replaces the player's old link
+        const link = mkLink(id);
+        link.pc.ondatachannel = (e) => attach(id, link, e.channel);
+        await link.pc.setRemoteDescription(ev.sdp);
+        await link.pc.setLocalDescription(await link.pc.createAnswer());
+        signal({ to: id, sdp: link.pc.localDescription.toJSON() });
+      } else if (!isHost && ev.sdp?.type === "answer") await links.get(id)?.pc.setRemoteDescription(ev.sdp);
+      else if (ev.candidate) await links.get(id)?.pc.addIceCandidate(ev.candidate);
+    } catch { drop(id, "peer-to-peer negotiation failed"); }
+  };
+
+  return {
+    /** Player: offer a channel to the host (no-op while linked or after too many failures). */
+    start() {
+      if (isHost || links.has("host") || attempts >= RTC_MAX_ATTEMPTS) return;
+      attempts++;
+      const link = mkLink("host");
+      attach("host", link, link.pc.createDataChannel("caveman-qte"));
+      chain = chain.then(async () => {
+        try {
+          await link.pc.setLocalDescription(await link.pc.createOffer());
+          signal({ sdp: link.pc.localDescription.toJSON() });
+        } catch { drop("host", "peer-to-peer unavailable"); }
+      });
+    },
+    handleSignal(ev) { chain = chain.then(() => handle(ev)); },
+    /** Send over every open channel (or only to `to`); returns the ids reached ("host" for a player). */
+    send(ev, to) {
+      const ids = openIds().filter((id) => to == null || id === to); const data = JSON.stringify(ev);
+      for (const id of ids) { try { links.get(id).dc.send(data); } catch {} }
+      return ids;
+    },
+    openCount: () => openIds().length,
+    resetAttempts() { attempts = 0; },
+    close() { for (const id of [...links.keys()]) drop(id); },
+  };
+}
 
 // -------------------- Bus (BroadcastChannel + storage fallback) --------------------
 
-const mkBus = (code, relayUrl) => {
+/**
+ * Host-only messages (see isHostOnly in protocol.js) arrive over the relay stamped with `host: true`,
+ * surfaced to listeners as `ev.__host`. Same-browser transports have no third party on the channel
+ * and are trusted as-is.
+ */
+/** Whether a received event may act as a host message (false only when the relay says it was not). */
+const fromHost = (ev) => ev.__host !== false;
+
+const randomSecret = () => Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) => b.toString(16).padStart(2, "0")).join("");
+
+/** Player messages that also go to the relay when the host was reached peer-to-peer */
+const RELAY_STATE_TYPES = new Set(["HELLO", "HEARTBEAT", "BYE", "QTE_RESULT", "SEQ_STEP_RESULT", "SEQ_DONE", "WRONG_PRESS"]);
+const OUTBOX_LIMIT = 32;   // messages kept while the relay is unreachable (oldest dropped first; under the relay's burst)
+const ACK_RETRY_MS = 1500;
+const ACK_MAX_TRIES = 5;   // sends (while online) before a message is reported undelivered
+const SEEN_LIMIT = 500;    // message ids remembered for de-duplication
+
+/**
+ * Acknowledged delivery for RELIABLE_TYPES (see protocol.js). Outgoing: a message id is added and the
+ * message is re-sent until every expected receiver ACKs it — the given player ids for the host, the host
+ * for a player. Ids carry a per-bus nonce, so a rebuilt bus (rejoin, resumed host) is not taken for a repeat. Incoming: the other side's messages are ACKed, and repeats of a seen id are dropped.
+ * @param {{isHost:boolean, clientId:string, lobby:string, transmit:(ev:object)=>void, isOnline:()=>boolean,
+ *   onPending:()=>void, onGiveUp:(ev:object, waiting:string[])=>void}} opts
+ */
+function mkDelivery({ isHost, clientId, lobby, transmit, isOnline, onPending, onGiveUp }) {
+  /** @type {Map<string, {ev:object, waiting:Set<string>, tries:number, timer:number}>} */
+  const pending = new Map();
+  const seen = new Set();
+  const nonce = Math.random().toString(36).slice(2, 8);
+  let counter = 0;
+
+  const settle = (mid) => { clearTimeout(pending.get(mid)?.timer); pending.delete(mid); onPending(); };
+  const retry = (mid) => {
+    const p = pending.get(mid); if (!p) return;
+    if (isOnline()) {
+      if (p.tries >= ACK_MAX_TRIES) { settle(mid); return onGiveUp(p.ev, [...p.waiting]); }
+      p.tries++; transmit(p.ev);
+    }
+    p.timer = setTimeout(() => retry(mid), ACK_RETRY_MS);
+  };
+
+  return {
+    /** Send `ev`; reliable types are tracked until acknowledged by `ackFrom` (host) or the host (player). */
+    send(ev, ackFrom) {
+      if (!RELIABLE_TYPES.has(ev.type) || !clientId) return transmit(ev);
+      const out = { ...ev, mid: `${clientId}:${nonce}:${++counter}` };
+      const waiting = new Set(isHost ? ackFrom || [] : ["host"]);
+      if (waiting.size) {
+        pending.set(out.mid, { ev: out, waiting, tries: 1, timer: setTimeout(() => retry(out.mid), ACK_RETRY_MS) });
+        onPending();
+      }
+      transmit(out);
+    },
+    /** Handle an incoming (valid) message; false when it must not reach listeners. */
+    receive(ev) {
+      if (ev.type === "ACK") {
+        const p = pending.get(ev.mid);
+        if (p) { p.waiting.delete(isHost ? ev.from : fromHost(ev) ? "host" : ""); if (!p.waiting.size) settle(ev.mid); }
+        return false;
+      }
+      if (!ev.mid) return true;
+      // Players acknowledge the host's messages addressed to them and the host acknowledges players'
+      if (clientId && isHost !== isHostOnly(ev) && (isHost || isAddressedTo(ev, clientId))) {
+        transmit(make.ACK({ lobby, from: clientId, to: isHost ? ev.from : undefined, mid: ev.mid }));
+      }
+      if (seen.has(ev.mid)) return false;
+      seen.add(ev.mid);
+      if (seen.size > SEEN_LIMIT) seen.delete(seen.values().next().value);
+      return true;
+    },
+    pendingCount: () => pending.size,
+    close() { for (const p of pending.values()) clearTimeout(p.timer); pending.clear(); },
+  };
+}
+
+/**
+ * Incoming messages are checked against the protocol before listeners see them: another protocol
+ * version surfaces as `__STATUS__ {incompatible: version}`, a malformed message as `{dropped: error}`.
+ * With `p2p`, relay connections also carry WebRTC signaling and traffic moves to DataChannels once
+ * they open (transport "rtc"); the relay stays the fallback.
+ * Over the relay, messages posted while it is unreachable wait in a bounded outbox, reliable types are
+ * acknowledged (see mkDelivery; the host passes `post(ev, { ackFrom: playerIds })`), and `__STATUS__`
+ * reports `pending` (outbox + unacknowledged) and `undelivered` when retries run out.
+ */
+const mkBus = (code, relayUrl, { hostKey, clientId, p2p } = {}) => {
   const chanName = `caveman-qte-${code}`;
   const listeners = new Set();
+  const deliver = (ev, emitStatus, accept = () => true) => {
+    const check = validateMessage(ev);
+    if (check.ok) return accept(ev) && listeners.forEach((l) => l(ev));
+    if (check.version != null) emitStatus("open", { incompatible: check.version });
+    else emitStatus("open", { dropped: check.error });
+  };
 
   // 1) Optional WebSocket relay for cross-device
   if (relayUrl && /^wss?:\/\//i.test(relayUrl)) {
     let ws = null;
     let shouldReconnect = true;
     let backoff = 500;
-    const emitStatus = (state, extra = {}) => listeners.forEach(l => l({ type: "__STATUS__", transport: "ws", room: chanName, state, relayUrl, ...extra }));
+    let wsState = "connecting";
+    /** @type {ReturnType<typeof mkRtcStar>|null} */
+    let rtc = null;
+    /** @type {object[]} envelopes waiting for the relay */
+    let outbox = [];
+    const emitStatus = (state, extra = {}) => {
+      wsState = state;
+      const rtcPeers = rtc ? rtc.openCount() : null;
+      const pending = outbox.length + delivery.pendingCount();
+      listeners.forEach(l => l({ type: "__STATUS__", transport: rtcPeers ? "rtc" : "ws", rtcPeers, pending, room: chanName, state, relayUrl, ...extra }));
+    };
+    const isOpen = () => !!ws && ws.readyState === 1;
+    const send = (envelope) => {
+      if (isOpen()) { try { ws.send(JSON.stringify({ room: chanName, ...envelope })); } catch {} return; }
+      const { payload } = envelope;
+      if (VOLATILE_TYPES.has(payload.type) || (payload.mid && outbox.some((e) => e.payload.mid === payload.mid))) return;
+      outbox = [...outbox, envelope].slice(-OUTBOX_LIMIT);
+      emitStatus(wsState);
+    };
+    const flush = () => { const queued = outbox; outbox = []; queued.forEach(send); if (queued.length) emitStatus(wsState); };
+    const transmit = (ev) => {
+      const only = hostKey && ev.type === "ACK" ? ev.to : undefined; // the host's ACKs are for one player
+      const direct = rtc ? rtc.send(ev, only) : [];
+      // A player's messages are for the host, which just got them; the relay still sees what its room state
+      // (roster, answered cues) and spectators follow, with the host skipped
+      if (direct.length && (only || (!hostKey && !RELAY_STATE_TYPES.has(ev.type)))) return;
+      send({ payload: ev, ...(direct.length ? { skip: direct } : {}) });
+    };
+    const delivery = mkDelivery({
+      isHost: !!hostKey, clientId, lobby: code, transmit,
+      isOnline: () => isOpen() || !!rtc?.openCount(),
+      onPending: () => emitStatus(wsState),
+      onGiveUp: (ev, waiting) => emitStatus(wsState, { undelivered: { type: ev.type, waiting } }),
+    });
+    const accept = (ev) => delivery.receive(ev);
+    if (p2p && clientId && typeof RTCPeerConnection !== "undefined") {
+      rtc = mkRtcStar({
+        isHost: !!hostKey,
+        signal: (fields) => send({ payload: make.SIGNAL({ lobby: code, from: clientId, ...fields }) }),
+        // DataChannel traffic comes straight from the other end: for a player that is the host
+        deliver: (ev) => deliver({ ...ev, __host: !hostKey }, emitStatus, accept),
+        onChange: (fallback) => emitStatus(wsState, fallback ? { fallback } : {}),
+      });
+    }
 
     const connect = () => {
       try { ws = new WebSocket(`${relayUrl}?room=${encodeURIComponent(chanName)}`); } catch { ws = null; }
       if (!ws) return;
-      ws.onopen = () => { backoff = 500; emitStatus("open"); };
+      ws.onopen = () => {
+        backoff = 500; rtc?.resetAttempts();
+        if (hostKey) ws.send(JSON.stringify({ room: chanName, control: "HOST_CLAIM", hostKey }));
+        flush(); // after the claim, so queued host messages are accepted
+        emitStatus("open");
+      };
       ws.onmessage = (e) => {
-        try {
-          const msg = JSON.parse(e.data);
-          const ev = msg && (msg.payload || msg);
-          if (!msg.room || msg.room === chanName) listeners.forEach((l) => l(ev));
-        } catch {}
+        let msg;
+        try { msg = JSON.parse(e.data); } catch { return emitStatus("open", { dropped: "unreadable message" }); }
+        if (msg && msg.control) {
+          if (msg.control === "HOST_OK") emitStatus("open", { host: "ok" });
+          else if (msg.control === "HOST_DENIED") emitStatus("open", { host: "denied" });
+          else if (msg.control === "REJECTED" && msg.protocol != null && msg.protocol !== PROTOCOL_VERSION) emitStatus("open", { incompatible: msg.protocol });
+          else if (msg.control === "REJECTED") emitStatus("open", { rejected: msg.type || "message", reason: msg.reason });
+          else if (msg.control === "ROOM_INFO") {
+            emitStatus("open", { occupancy: { peers: msg.peers, hasHost: msg.hasHost, players: msg.players || [] } });
+            if (msg.protocol != null && msg.protocol !== PROTOCOL_VERSION) emitStatus("open", { incompatible: msg.protocol });
+          }
+          return;
+        }
+        const ev = msg && (msg.payload || msg);
+        if (msg?.room && msg.room !== chanName) return;
+        if (ev?.type === "SIGNAL") {
+          // Players only negotiate with the (relay-verified) host
+          if (rtc && validateMessage(ev).ok && (hostKey || msg.host === true)) rtc.handleSignal(ev);
+          return;
+        }
+        // Live host traffic (not the relay's replay) means there is a host to connect to
+        if (rtc && !hostKey && msg.host === true && !msg.replay) rtc.start();
+        deliver({ ...ev, __host: msg.host === true }, emitStatus, accept);
+      };
+      ws.onclose = (e) => {
+        if (!shouldReconnect) return;
+        emitStatus("closed", { code: e.code, reason: CLOSE_REASONS[e.code] || e.reason || "" });
+        setTimeout(connect, Math.min(backoff, 5000)); backoff *= 1.5;
       };
-      ws.onclose = () => { if (!shouldReconnect) return; emitStatus("closed"); setTimeout(connect, Math.min(backoff, 5000)); backoff *= 1.5; };
       ws.onerror = () => { emitStatus("error"); try { ws.close(); } catch {} };
     };
     connect();
 
     return {
-      post(ev) { try { if (ws && ws.readyState === 1) ws.send(JSON.stringify({ room: chanName, payload: ev })); } catch {} },
+      post(ev, { ackFrom } = {}) {
+        const check = validateMessage(ev);
+        if (!check.ok) return emitStatus(wsState, { dropped: `outgoing ${ev?.type}: ${check.error}` });
+        delivery.send(ev, ackFrom);
+      },
       on(cb) { listeners.add(cb); return () => listeners.delete(cb); },
-      destroy() { shouldReconnect = false; try { ws?.close(); } catch {} },
+      destroy() { shouldReconnect = false; delivery.close(); rtc?.close(); try { ws?.close(); } catch {} },
     };
   }
 
@@ -76,22 +355,59 @@ const mkBus = (code, relayUrl) => {
   let ch;
   try { ch = new BroadcastChannel(chanName); } catch {}
   const storageKey = `${chanName}-fallback`;
-  const onStorage = (e) => { if (e.key === storageKey && e.newValue) { try { const ev = JSON.parse(e.newValue); listeners.forEach((l) => l(ev)); } catch {} } };
+  const emitStatus = (state, extra = {}) => listeners.forEach(l => l({ type: "__STATUS__", transport: ch ? "broadcastchannel" : "storage", room: chanName, state, ...extra }));
+  const onStorage = (e) => {
+    if (e.key !== storageKey || !e.newValue) return;
+    let ev;
+    try { ev = JSON.parse(e.newValue); } catch { return emitStatus("open", { dropped: "unreadable message" }); }
+    deliver(ev, emitStatus);
+  };
   if (typeof window !== "undefined") window.addEventListener("storage", onStorage);
   // Emit a status event so UI can show transport
-  setTimeout(() => listeners.forEach(l => l({ type: "__STATUS__", transport: ch ? "broadcastchannel" : "storage", room: chanName, state: "open" })), 0);
+  setTimeout(() => emitStatus("open"), 0);
 
   return {
-    post(ev) { ch?.postMessage(ev); try { localStorage.setItem(storageKey, JSON.stringify(ev)); localStorage.removeItem(storageKey); } catch {} },
-    on(cb) { listeners.add(cb); if (ch) ch.onmessage = (e) => { listeners.forEach((l) => l(e.data)); }; return () => listeners.delete(cb); },
+    post(ev) {
+      const check = validateMessage(ev);
+      if (!check.ok) return emitStatus("open", { dropped: `outgoing ${ev?.type}: ${check.error}` });
+      ch?.postMessage(ev);
+      try { localStorage.setItem(storageKey, JSON.stringify(ev)); localStorage.removeItem(storageKey); } catch {}
+    },
+    on(cb) { listeners.add(cb); if (ch) ch.onmessage = (e) => deliver(e.data, emitStatus); return () => listeners.delete(cb); },
     destroy() { if (typeof window !== "undefined") window.removeEventListener("storage", onStorage); try { ch?.close(); } catch {} },
   };
 };
 
+/**
+ * A bus that only listens (spectators): it never posts, so it stays out of the roster. Create the underlying
+ * bus without a clientId, so it does not acknowledge messages either, and without p2p.
+ */
+const listenOnly = (bus) => ({ ...bus, post() {} });
+
+/** A bus that hands every message it sends ("out") or receives ("in") to `record` as well (host session recording). */
+const recorded = (bus, record) => {
+  const off = bus.on((ev) => record(ev, "in"));
+  return {
+    ...bus,
+    post(ev, opts) { if (validateMessage(ev).ok) record(ev, "out"); return bus.post(ev, opts); },
+    destroy() { off?.(); bus.destroy?.(); },
+  };
+};
+
 // -------------------- Utilities --------------------
 
 const randomCode = (len = 5) => Array.from({ length: len }, () => "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"[Math.floor(Math.random() * 32)]).join("");
 
+/** @type {Grade[]} */
+const GRADES = ["Perfect", "Success", "Close call", "Slow", "Failure"];
+const DEFAULT_PRESENCE = { staleMs: 8000, removeMs: 30000 };
+const DEFAULT_POINTS = { Perfect: 100, Success: 70, "Close call": 40, Slow: 10, Failure: 0 };
+const DEFAULT_ADAPTIVE = { enabled: false, minScale: 0.7, maxScale: 1.5, window: 10 };
+const KICK_GRACE_MS = 10000; // heartbeats from a kicked player are ignored this long (they may still be on the way)
+
+/** Whether `id` is in `kicked` (client id → kick time) and was kicked less than KICK_GRACE_MS ago. */
+const recentlyKicked = (kicked, id, now = Date.now()) => kicked.has(id) && now - kicked.get(id) < KICK_GRACE_MS;
+
 /** @returns {LobbyConfig} */
 function defaultConfig(code) {
   return {
@@ -102,9 +418,19 @@ function defaultConfig(code) {
     leniencyMs: 0,
     glowGapMs: 120,
     hostFlashMs: 60,
+    points: { ...DEFAULT_POINTS },
+    seqVerdict: { rule: "worst", misses: 1 },
+    wrongPress: { policy: "ignore", penaltyMs: 150 },
+    presence: { ...DEFAULT_PRESENCE },
+    adaptive: { ...DEFAULT_ADAPTIVE },
   };
 }
 
+/** Thresholds a player is graded against: their adaptive ones when the host set any. */
+function thresholdsFor(config, id) {
+  return config.playerThresholds?.[id] || config.thresholds;
+}
+
 function gradeReaction(ms, t) {
   if (ms <= t.perfect) return "Perfect";
   if (ms <= t.success) return "Success";
@@ -118,15 +444,187 @@ function gradeWithLeniency(ms, t, leniency) {
   return gradeReaction(ms, tt);
 }
 
+/** Hold: the reaction to start holding is graded, but only once the button was held the full holdMs. */
+function gradeHold(reactionMs, heldMs, holdMs, t) {
+  if (heldMs < holdMs) return "Failure";
+  return gradeReaction(reactionMs, t);
+}
+
+/** Mash: graded by how much of the window it took to reach the press count. */
+function gradeMash(elapsedMs, windowMs) {
+  const r = elapsedMs / Math.max(1, windowMs);
+  if (r <= 0.5) return "Perfect";
+  if (r <= 0.65) return "Success";
+  if (r <= 0.8) return "Close call";
+  if (r <= 1) return "Slow";
+  return "Failure";
+}
+
+/**
+ * Timed release: the window opens openMs after the cue and stays open windowMs.
+ * Inside it, closer to the middle is better; up to half a window outside either edge is Slow.
+ */
+function gradeRelease(releaseMs, openMs, windowMs) {
+  const half = Math.max(1, windowMs / 2);
+  const off = Math.abs(releaseMs - (openMs + half)) / half; // 0 = centre, 1 = edge
+  if (off <= 1 / 3) return "Perfect";
+  if (off <= 2 / 3) return "Success";
+  if (off <= 1) return "Close call";
+  if (off <= 2) return "Slow";
+  return "Failure";
+}
+
+/** Cue params carried on the wire for each kind. */
+function cueParams(kind, p) {
+  if (kind === "hold") return { holdMs: p.holdMs };
+  if (kind === "mash") return { count: p.count, windowMs: p.windowMs };
+  if (kind === "release") return { openMs: p.openMs, windowMs: p.releaseWindowMs };
+  return {};
+}
+
+/** Extra log text for hold/mash/release results */
+function cueDetail(ev) {
+  if (ev.held != null) return `, held ${ev.held}/${ev.holdMs}ms`;
+  if (ev.presses != null) return `, ${ev.presses}/${ev.count} presses${ev.elapsed != null ? ` in ${ev.elapsed}ms` : ""}`;
+  if (ev.releaseAt != null) return `, released at ${ev.releaseAt}ms (window ${ev.openMs}–${ev.openMs + ev.windowMs}ms)`;
+  return "";
+}
+
+/** Progress visuals for the cued button: fill (0..1), counter text, release window (fractions of the bar). */
+function cueVisual(cue, now, t) {
+  if (!cue || cue.kind === "single") return null;
+  if (cue.kind === "hold") return { kind: "hold", progress: cue.downAt == null ? 0 : clamp((now - cue.downAt) / cue.holdMs, 0, 1) };
+  if (cue.kind === "mash") return { kind: "mash", progress: clamp(cue.presses / cue.count, 0, 1), counter: `${cue.presses}/${cue.count}` };
+  const total = cueDeadlineMs(cue, t);
+  return { kind: "release", progress: clamp((now - cue.start) / total, 0, 1), window: [cue.openMs / total, (cue.openMs + cue.windowMs) / total] };
+}
+
+/**
+ * Aggregate per-step grades into one sequence grade.
+ * - worst:   the worst step grade
+ * - average: mean grade rank, rounded to the nearest grade
+ * - misses:  Failure if more than `misses` steps failed, else the average of the steps that landed
+ * @param {Grade[]} grades @param {SeqVerdictRule=} rule @returns {Grade}
+ */
+function sequenceVerdict(grades, rule = { rule: "worst", misses: 1 }) {
+  if (grades.length === 0) return "Failure";
+  const ranks = grades.map((g) => Math.max(0, GRADES.indexOf(g)));
+  const avg = (rs) => GRADES[Math.round(rs.reduce((a, b) => a + b, 0) / rs.length)];
+  if (rule.rule === "average") return avg(ranks);
+  if (rule.rule === "misses") {
+    const hits = ranks.filter((r) => GRADES[r] !== "Failure");
+    if (ranks.length - hits.length > (rule.misses ?? 0) || hits.length === 0) return "Failure";
+    return avg(hits);
+  }
+  return GRADES[Math.max(...ranks)];
+}
+
 function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
 
+/** Re-render every animation frame while `active` (progress bars). */
+function useAnimationFrame(active) {
+  const [, setTick] = useState(0);
+  useEffect(() => {
+    if (!active) return;
+    let id;
+    const loop = () => { setTick((n) => n + 1); id = requestAnimationFrame(loop); };
+    id = requestAnimationFrame(loop);
+    return () => cancelAnimationFrame(id);
+  }, [active]);
+}
+
+const cueId = () => Math.random().toString(36).slice(2, 10);
+
+// -------------------- Cue targeting --------------------
+
+/** @typedef {{name:string, members:string[]}} PlayerGroup */
+
+/**
+ * Resolve a host target ("all" | "player:<id>" | "group:<id>") to client ids and a label for the log.
+ * Players who have left the lobby (gone from the roster, or said BYE) are dropped.
+ * @param {string} target @param {Record<string, {name:string, leftAt?:number}>} players @param {Record<string, PlayerGroup>} groups
+ */
+function resolveTarget(target, players, groups) {
+  const present = (id) => !!players[id] && !players[id].leftAt;
+  if (!target || target === "all") return { ids: Object.keys(players).filter(present), label: "everyone", to: undefined };
+  const [kind, id] = [target.slice(0, target.indexOf(":")), target.slice(target.indexOf(":") + 1)];
+  if (kind === "player") return present(id) ? { ids: [id], label: players[id].name, to: [id] } : { ids: [], label: "(left)", to: [] };
+  const g = groups[id];
+  if (kind !== "group" || !g) return { ids: [], label: "(no group)", to: [] };
+  const ids = g.members.filter(present);
+  return { ids, label: g.name, to: ids };
+}
+
+// -------------------- Presence --------------------
+
+const HEARTBEAT_MS = 2500;
+
+/**
+ * Roster status from the last message seen: offline once the player said BYE,
+ * stale after presence.staleMs of silence, otherwise online.
+ * @returns {"online"|"stale"|"offline"}
+ */
+function presenceOf(player, now, presence = DEFAULT_PRESENCE) {
+  if (player.leftAt) return "offline";
+  return now - player.lastSeen >= presence.staleMs ? "stale" : "online";
+}
+
+/** Drop players silent for presence.removeMs; returns the same object when nobody was removed. */
+function prunePlayers(players, now, presence = DEFAULT_PRESENCE) {
+  const keep = Object.entries(players).filter(([, p]) => now - p.lastSeen < presence.removeMs);
+  return keep.length === Object.keys(players).length ? players : Object.fromEntries(keep);
+}
+
+/** Disambiguate a display name against the rest of the roster: "Bob" → "Bob (2)". */
+const NAME_MAX = 32; // display names, suffix included; well inside the protocol's string limit
+
+function uniqueName(desired, players, selfId) {
+  const base = (desired || "").trim().slice(0, NAME_MAX) || "Player";
+  const taken = new Set(Object.entries(players).filter(([id]) => id !== selfId).map(([, p]) => p.name.toLowerCase()));
+  if (!taken.has(base.toLowerCase())) return base;
+  for (let n = 2; ; n++) {
+    const suffix = ` (${n})`;
+    const candidate = `${base.slice(0, NAME_MAX - suffix.length).trimEnd()}${suffix}`;
+    if (!taken.has(candidate.toLowerCase())) return candidate;
+  }
+}
+
+const PRESENCE_DOT = { online: "bg-green-500", stale: "bg-yellow-500", offline: "bg-slate-400" };
+
+function ago(ms) {
+  const s = Math.max(0, Math.round(ms / 1000));
+  return s < 60 ? `${s}s ago` : `${Math.floor(s / 60)}m ${s % 60}s ago`;
+}
+
+/** Cues without `to` go to everyone; `to` is a client id or a list of them. */
+function isAddressedTo(ev, clientId) {
+  if (ev.to == null) return true;
+  return Array.isArray(ev.to) ? ev.to.includes(clientId) : ev.to === clientId;
+}
+
+// Extra time the host waits past a cue's deadline for the player's own timeout result to arrive.
+const TIMEOUT_GRACE_MS = 1500;
+
+/**
+ * Outstanding host-side cues whose deadline (+grace) has passed.
+ * @param {Record<string, Record<string, {deadline:number}>>} pending  playerId → cueId → cue
+ */
+function expiredCues(pending, now, grace = TIMEOUT_GRACE_MS) {
+  const out = [];
+  for (const [player, cues] of Object.entries(pending)) {
+    for (const [cue, c] of Object.entries(cues)) if (now > c.deadline + grace) out.push({ ...c, player, cue });
+  }
+  return out;
+}
+
 function layoutFor(count) {
   if (count === 2) return "grid-2";
   if (count === 3) return "grid-3"; // kept for tests; UI uses generic grid
   return "grid-else";
 }
 
-const gradeColor = (g) => {
+const gradeColor = (g, a11y = null) => {
+  if (a11y?.enabled && a11y.palette === "safe") return SAFE_GRADE_COLORS[g] || "bg-slate-300 text-slate-900";
   switch (g) {
     case "Perfect": return "bg-green-600 text-white";
     case "Success": return "bg-lime-500 text-slate-900";
@@ -139,128 +637,1510 @@ const gradeColor = (g) => {
 
 function time() { const d = new Date(); return d.toLocaleTimeString(); }
 
+// -------------------- Accessibility --------------------
+
+/**
+ * @typedef {Object} A11ySettings  per device
+ * @property {boolean} enabled       grade icons / patterns, plus the options below
+ * @property {"standard"|"safe"} palette
+ * @property {boolean} highContrast  player buttons
+ * @property {boolean} reducedMotion no ping / pulse / pop-in (the system setting is always respected)
+ */
+const A11Y_KEY = "caveman-hunt-a11y";
+const prefersReducedMotion = () => typeof window !== "undefined" && !!window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+/** @returns {A11ySettings} */
+const defaultA11y = () => ({ enabled: false, palette: "safe", highContrast: true, reducedMotion: prefersReducedMotion() });
+
+function loadA11y() {
+  try { return { ...defaultA11y(), ...JSON.parse(localStorage.getItem(A11Y_KEY) || "{}") }; } catch { return defaultA11y(); }
+}
+function saveA11y(settings) {
+  try { localStorage.setItem(A11Y_KEY, JSON.stringify(settings)); } catch {}
+}
+
+/** Colour-blind safe grades: blue → orange, ordered by lightness so they also read in greyscale. */
+const SAFE_GRADE_COLORS = {
+  Perfect: "bg-blue-800 text-white",
+  Success: "bg-sky-400 text-slate-900",
+  "Close call": "bg-amber-100 text-slate-900",
+  Slow: "bg-orange-400 text-slate-900",
+  Failure: "bg-stone-900 text-white",
+};
+/** Shape per grade, so a grade never depends on colour alone */
+const GRADE_ICONS = { Perfect: "★", Success: "✓", "Close call": "!", Slow: "◔", Failure: "✕" };
+/** Fill pattern per grade for grade bars */
+const GRADE_PATTERNS = {
+  Perfect: "none",
+  Success: "repeating-linear-gradient(45deg, rgba(0,0,0,.3) 0 2px, transparent 2px 7px)",
+  "Close call": "repeating-linear-gradient(0deg, rgba(0,0,0,.3) 0 2px, transparent 2px 5px)",
+  Slow: "repeating-linear-gradient(90deg, rgba(0,0,0,.3) 0 2px, transparent 2px 5px)",
+  Failure: "repeating-linear-gradient(45deg, rgba(255,255,255,.45) 0 2px, transparent 2px 5px), repeating-linear-gradient(-45deg, rgba(255,255,255,.45) 0 2px, transparent 2px 5px)",
+};
+
+/** "★ Perfect" in accessibility mode, else the grade */
+const gradeText = (g, a11y) => (a11y?.enabled && GRADE_ICONS[g] ? `${GRADE_ICONS[g]} ${g}` : g);
+
+/** What a screen reader says when a button lights up, e.g. "Dodge, hold 800 milliseconds" */
+function cueAnnouncement(names, index, cue, seq) {
+  const label = names[index] || `Button ${index + 1}`;
+  if (seq) return `${label}, step ${seq.at + 1} of ${seq.seq.length}`;
+  if (cue?.kind === "hold") return `${label}, hold ${cue.holdMs} milliseconds`;
+  if (cue?.kind === "mash") return `${label}, press ${cue.count} times`;
+  if (cue?.kind === "release") return `${label}, hold and release in the window`;
+  return label;
+}
+
+// -------------------- Results store --------------------
+
+/**
+ * @typedef {Object} ButtonStats
+ * @property {number} count            results received (including timeouts)
+ * @property {number[]} rts            reaction times of actual presses
+ * @property {Record<string, number>} grades
+ * @property {number} mistakes         wrong presses while this button was cued
+ */
+/**
+ * @typedef {Object} PlayerStats
+ * @property {string} name
+ * @property {Record<string, ButtonStats>} buttons   keyed by button index
+ * @property {Record<string, number>} grades
+ * @property {number} sequences        completed sequences
+ * @property {number} seqTotalMs
+ * @property {number} mistakes         wrong presses
+ */
+
+const emptyStats = () => ({ players: {} });
+
+const RESULT_TYPES = ["QTE_RESULT", "SEQ_STEP_RESULT", "SEQ_DONE", "WRONG_PRESS"];
+const emptyButton = () => ({ count: 0, rts: [], grades: {}, mistakes: 0 });
+
+/**
+ * Fold one host-received result event (QTE_RESULT, SEQ_STEP_RESULT, SEQ_DONE, WRONG_PRESS) into the store.
+ * Returns a new store; unknown event types return it unchanged.
+ */
+function applyResult(stats, ev) {
+  if (!RESULT_TYPES.includes(ev.type)) return stats;
+  const prev = stats.players[ev.from] || { name: ev.name, buttons: {}, grades: {}, sequences: 0, seqTotalMs: 0, mistakes: 0 };
+  let next = { ...prev, name: ev.name || prev.name };
+  if (ev.type === "SEQ_DONE") {
+    next = { ...next, sequences: prev.sequences + 1, seqTotalMs: prev.seqTotalMs + (ev.totalMs || 0) };
+  } else if (ev.type === "WRONG_PRESS") {
+    const b = { ...emptyButton(), ...prev.buttons[ev.expected] };
+    next.buttons = { ...prev.buttons, [ev.expected]: { ...b, mistakes: b.mistakes + 1 } };
+    next.mistakes = (prev.mistakes || 0) + 1;
+  } else {
+    const b = { ...emptyButton(), ...prev.buttons[ev.index] };
+    next.buttons = { ...prev.buttons, [ev.index]: {
+      ...b,
+      count: b.count + 1,
+      rts: ev.timeout || ev.pressed != null ? b.rts : [...b.rts, ev.rt], // a wrong press is no reaction time
+      grades: { ...b.grades, [ev.grade]: (b.grades[ev.grade] || 0) + 1 },
+    } };
+    next.grades = { ...prev.grades, [ev.grade]: (prev.grades[ev.grade] || 0) + 1 };
+  }
+  return { ...stats, players: { ...stats.players, [ev.from]: next } };
+}
+
+/** count/mean/median/best of a list of reaction times (nulls when empty) */
+function summarize(rts) {
+  if (rts.length === 0) return { count: 0, mean: null, median: null, best: null };
+  const sorted = [...rts].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return {
+    count: sorted.length,
+    mean: Math.round(sorted.reduce((a, b) => a + b, 0) / sorted.length),
+    median: sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2),
+    best: sorted[0],
+  };
+}
+
+function scoreFor(grades, points = DEFAULT_POINTS) {
+  return GRADES.reduce((acc, g) => acc + (grades[g] || 0) * (points[g] ?? 0), 0);
+}
+
+// -------------------- Adaptive difficulty --------------------
+
+const ADAPTIVE_MIN_SAMPLES = 3;
+const ADAPTIVE_KEEP = 50;
+const ADAPTIVE_KEYS = ["perfect", "success", "close", "slow"]; // timeout stays the lobby's: it is also the cue deadline
+
+/** Reaction time a result says about a player's speed (taps, holds, sequence steps; a timeout counts as `timeout`), or null. */
+function tuningSample(rec, t) {
+  const timed = rec.type === "SEQ_STEP_RESULT" || (rec.type === "QTE_RESULT" && (rec.kind === "single" || rec.kind === "hold"));
+  if (!timed || rec.pressed != null) return null;
+  return rec.timeout ? t.timeout : typeof rec.rt === "number" ? rec.rt : null;
+}
+
+/**
+ * Effective thresholds from recent reaction times: the lobby's grade thresholds scaled so the player's median
+ * lands on the Success boundary, within [minScale, maxScale]. Rounded to 10 ms so small swings do not re-send
+ * CONFIG. null (lobby thresholds) until there are enough samples.
+ */
+function adaptiveThresholds(base, rts, adaptive) {
+  const a = { ...DEFAULT_ADAPTIVE, ...adaptive };
+  const recent = rts.slice(-a.window);
+  if (recent.length < ADAPTIVE_MIN_SAMPLES) return null;
+  const scale = clamp(summarize(recent).median / base.success, a.minScale, a.maxScale);
+  return { ...base, ...Object.fromEntries(ADAPTIVE_KEYS.map((k) => [k, Math.round((base[k] * scale) / 10) * 10])) };
+}
+
+// -------------------- Spectator --------------------
+
+/**
+ * @typedef {Object} SpectatorState  what a big-screen spectator shows, folded from the bus traffic it overhears
+ * @property {Record<string, string>} names  client id → display name
+ * @property {{cue:string, kind:CueKind|"seq", index:number, seq?:number[], to?:string[], at:number, results:Record<string, string>}|null} live
+ *   the latest cue, with each player's grade (or verdict) as it arrives
+ * @property {{cue:string, seq:number[], to?:string[], at:number, steps:Record<string, string[]>}[]} seqs  recent sequences, newest first
+ * @property {{id:string, type:string, index?:number, step?:number, grade?:string, rt?:number, timeout?:boolean, at:number}[]} feed  newest first
+ * @property {ReturnType<typeof emptyStats>} stats  same store as the host scoreboard
+ */
+const SPECTATOR_FEED = 12;
+const SPECTATOR_SEQS = 3;
+
+/** @returns {SpectatorState} */
+const emptySpectator = () => ({ names: {}, live: null, seqs: [], feed: [], stats: emptyStats() });
+
+/** Fold one (host-verified) bus message into the spectator state. */
+function spectatorReduce(st, ev, now = Date.now()) {
+  const kind = CUE_KIND_BY_TYPE[ev.type];
+  if (ev.type === "HELLO") return { ...st, names: { ...st.names, [ev.from]: st.names[ev.from] || ev.name } };
+  if (ev.type === "NAME") return { ...st, names: { ...st.names, [ev.to]: ev.name } };
+  if (kind) return { ...st, live: { cue: ev.cue, kind, index: ev.index, to: ev.to, at: now, results: {} } };
+  if (ev.type === "SEQ_BEGIN") {
+    return {
+      ...st,
+      live: { cue: ev.cue, kind: "seq", index: ev.seq[0], seq: ev.seq, to: ev.to, at: now, results: {} },
+      seqs: [{ cue: ev.cue, seq: ev.seq, to: ev.to, at: now, steps: {} }, ...st.seqs].slice(0, SPECTATOR_SEQS),
+    };
+  }
+  if (!RESULT_TYPES.includes(ev.type)) return st;
+  const names = st.names[ev.from] ? st.names : { ...st.names, [ev.from]: ev.name || ev.from };
+  const final = ev.type === "QTE_RESULT" ? ev.grade : ev.type === "SEQ_DONE" ? ev.verdict : null;
+  const live = final && st.live?.cue === ev.cue ? { ...st.live, results: { ...st.live.results, [ev.from]: final } } : st.live;
+  const seqs = ev.type === "SEQ_STEP_RESULT"
+    ? st.seqs.map((q) => (q.cue === ev.cue ? { ...q, steps: { ...q.steps, [ev.from]: [...(q.steps[ev.from] || []), ev.grade] } } : q))
+    : st.seqs;
+  const { type, from: id, index, step, rt, timeout } = ev;
+  const feed = [{ id, type, index: type === "WRONG_PRESS" ? ev.expected : index, step, grade: final ?? ev.grade, rt, timeout, at: now }, ...st.feed].slice(0, SPECTATOR_FEED);
+  return { names, live, seqs, feed, stats: applyResult(st.stats, toRecord({ ...ev, name: names[ev.from] }, now)) };
+}
+
+/** Leaderboard rows, best score first */
+function leaderboard(stats, names, points) {
+  return Object.entries(stats.players)
+    .map(([id, p]) => ({ id, name: names[id] || p.name, score: scoreFor(p.grades, { ...DEFAULT_POINTS, ...points }), perfect: p.grades.Perfect || 0, results: GRADES.reduce((n, g) => n + (p.grades[g] || 0), 0) }))
+    .sort((a, b) => b.score - a.score || b.perfect - a.perfect);
+}
+
+// -------------------- Session export / import --------------------
+
+/**
+ * @typedef {Object} ResultRecord
+ * @property {number} ts         host receive time (epoch ms)
+ * @property {"QTE_RESULT"|"SEQ_STEP_RESULT"|"SEQ_DONE"|"WRONG_PRESS"} type
+ * @property {string} from       player client id
+ * @property {string} name
+ * @property {CueKind=} kind     single cues only (QTE_RESULT)
+ * @property {number=} index     button index
+ * @property {number=} step      sequence step
+ * @property {number=} rt
+ * @property {string=} grade
+ * @property {boolean=} timeout
+ * @property {number=} pressed   wrong button pressed, when the wrong-press policy graded the cue a Failure (rt is not a reaction)
+ * @property {number=} totalMs   SEQ_DONE only
+ * @property {string[]=} grades  SEQ_DONE only: per-step grades
+ * @property {(number|null)[]=} rts  SEQ_DONE only: per-step reaction times
+ * @property {boolean=} aborted  SEQ_DONE only
+ * @property {number=} expected  WRONG_PRESS only: the cued button (index is the one pressed)
+ * @property {string=} policy    WRONG_PRESS only
+ */
+
+const SESSION_FORMAT = "caveman-hunt-session";
+const SESSION_VERSION = 1;
+
+/** @returns {ResultRecord} */
+function toRecord(ev, ts = Date.now()) {
+  const { type, from, name, kind, index, step, rt, grade, timeout, pressed, totalMs, grades, rts, verdict, aborted, expected, policy } = ev;
+  if (type === "SEQ_DONE") return { ts, type, from, name, grade: verdict, totalMs, grades, rts, aborted: !!aborted };
+  if (type === "WRONG_PRESS") return { ts, type, from, name, index, step, expected, policy };
+  if (type === "QTE_RESULT") return { ts, type, from, name, kind: kind || "single", index, rt, grade, timeout: !!timeout, pressed };
+  return { ts, type, from, name, index, step, rt, grade, timeout: !!timeout, pressed };
+}
+
+const CSV_COLUMNS = ["ts", "time", "type", "player_id", "name", "button_index", "button", "step", "rt", "grade", "timeout", "total_ms", "expected_index", "policy", "kind"];
+
+function csvCell(v) {
+  if (v == null) return "";
+  const str = String(v);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/** @param {ResultRecord[]} records  oldest first */
+function resultsToCsv(records, names = []) {
+  const rows = records.map((r) => [
+    r.ts, new Date(r.ts).toISOString(), r.type, r.from, r.name,
+    r.index, r.index == null ? "" : names[r.index] || `Button ${r.index + 1}`,
+    r.step == null ? "" : r.step + 1, r.rt, r.grade, r.timeout ? "yes" : "", r.totalMs, r.expected, r.policy, r.kind,
+  ]);
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(csvCell).join(",")).join("\n");
+}
+
+/** @param {LobbyConfig} config @param {ResultRecord[]} records */
+function sessionToJson(config, records) {
+  return JSON.stringify({ format: SESSION_FORMAT, version: SESSION_VERSION, exportedAt: new Date().toISOString(), config, results: records }, null, 2);
+}
+
+/** Parse a session file; throws with a readable message when it is not one. */
+function parseSession(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error("Not a JSON file"); }
+  if (!data || data.format !== SESSION_FORMAT) throw new Error("Not a Caveman Hunt session file");
+  if (data.version > SESSION_VERSION) throw new Error(`Session file version ${data.version} is newer than this app supports`);
+  if (!data.config || !Array.isArray(data.config.names) || !Array.isArray(data.results)) throw new Error("Session file is missing config or results");
+  return { config: data.config, results: data.results.filter((r) => r && typeof r.type === "string" && r.from) };
+}
+
+function downloadFile(filename, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// -------------------- Session recording / replay --------------------
+
+/**
+ * @typedef {Object} Recording  every game message of a host session, for replay
+ * @property {string} code
+ * @property {number} startedAt       epoch ms
+ * @property {LobbyConfig} config     config when the recording started (later CONFIG messages are events)
+ * @property {{t:number, dir:"in"|"out", ev:object}[]} events  `t`: ms since the start (performance clock)
+ */
+const RECORDING_FORMAT = "caveman-hunt-recording";
+const RECORDING_VERSION = 1;
+const RECORDING_LIMIT = 20000;
+const REPLAY_PRESS_MS = 250; // how long a replayed press stays visible
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+const perfNow = () => (typeof performance !== "undefined" ? performance.now() : Date.now());
+
+/** @returns {Recording & {origin:number}} */
+const newRecording = (code, config, origin = perfNow()) => ({ code, startedAt: Date.now(), config, events: [], origin });
+
+/** Append a bus message (keep-alives, clock sync and transport traffic are left out); returns whether it was kept. */
+function recordEvent(rec, ev, dir, now = perfNow()) {
+  if (!ev?.type || ev.type === "__STATUS__" || VOLATILE_TYPES.has(ev.type) || rec.events.length >= RECORDING_LIMIT) return false;
+  const { mid, ...rest } = ev;
+  rec.events.push({ t: Math.round((now - rec.origin) * 10) / 10, dir, ev: rest });
+  return true;
+}
+
+/** @param {Recording} rec */
+function recordingToJson(rec) {
+  const { code, startedAt, config, events } = rec;
+  return JSON.stringify({ format: RECORDING_FORMAT, version: RECORDING_VERSION, code, startedAt, config, events });
+}
+
+/** Parse a recording file; throws with a readable message when it is not one. */
+function parseRecording(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error("Not a JSON file"); }
+  if (!data || data.format !== RECORDING_FORMAT) throw new Error("Not a Caveman Hunt recording");
+  if (data.version > RECORDING_VERSION) throw new Error(`Recording version ${data.version} is newer than this app supports`);
+  if (!data.config || !Array.isArray(data.config.names) || !Array.isArray(data.events)) throw new Error("Recording is missing config or events");
+  const events = data.events.filter((e) => e && typeof e.t === "number" && e.ev && typeof e.ev.type === "string").sort((a, b) => a.t - b.t);
+  return { code: String(data.code || ""), startedAt: data.startedAt, config: data.config, events };
+}
+
+/**
+ * @typedef {Object} ReplayPress
+ * @property {number} t  when the press happened; single taps: cue time + rt, otherwise when the result came in
+ * @property {string} from
+ * @property {number} index   button pressed
+ * @property {string=} cue
+ * @property {number=} step
+ * @property {number=} rt
+ * @property {string=} grade
+ * @property {boolean=} wrong   a WRONG_PRESS (index is the button pressed, `expected` the cued one)
+ * @property {number=} expected
+ */
+
+/** Cues, presses and config changes of a recording, on its own time axis. */
+function replayTimeline(rec) {
+  const names = {};
+  const configs = [{ t: 0, config: rec.config }];
+  const cues = [];
+  const byCue = {};
+  for (const { t, ev } of rec.events) {
+    if (ev.type === "CONFIG") configs.push({ t, config: ev.config });
+    else if (ev.type === "HELLO") names[ev.from] = names[ev.from] || ev.name;
+    else if (ev.type === "NAME") names[ev.to] = ev.name;
+    else if (isCueMessage(ev)) {
+      const config = configs[configs.length - 1].config;
+      const c = { t, cue: ev.cue, kind: CUE_KIND_BY_TYPE[ev.type] || "seq", index: ev.seq ? ev.seq[0] : ev.index, seq: ev.seq, to: ev.to, end: t + cueLifetimeMs(ev, config), presses: [], misses: [], steps: [] };
+      cues.push(c); byCue[ev.cue] = c;
+    } else if (RESULT_TYPES.includes(ev.type)) {
+      if (ev.name && !names[ev.from]) names[ev.from] = ev.name;
+      const c = byCue[ev.cue];
+      if (ev.type === "SEQ_STEP_RESULT" && c) c.steps.push({ t, from: ev.from, step: ev.step });
+      if (ev.type === "SEQ_DONE") continue;
+      if (ev.timeout) { c?.misses.push({ t, from: ev.from, step: ev.step }); continue; }
+      const wrong = ev.type === "WRONG_PRESS";
+      const at = !wrong && ev.type === "QTE_RESULT" && c && (c.kind === "single" || c.kind === "hold") && typeof ev.rt === "number" ? c.t + ev.rt : t;
+      const press = { t: at, from: ev.from, index: ev.index, cue: ev.cue, step: ev.step, rt: wrong ? undefined : ev.rt, grade: wrong ? undefined : ev.grade, wrong, expected: ev.expected };
+      if (c) c.presses.push(press);
+    }
+  }
+  for (const c of cues) c.presses.sort((a, b) => a.t - b.t);
+  const last = rec.events.length ? rec.events[rec.events.length - 1].t : 0;
+  return { names, configs, cues, duration: Math.max(last, ...cues.map((c) => Math.min(c.end, last + 1000))) };
+}
+
+/** What the replay shows at time `t`: the config, the latest cue (lit while it runs) and the buttons being pressed. */
+function replayFrame(tl, t) {
+  const config = [...tl.configs].reverse().find((c) => c.t <= t)?.config || tl.configs[0].config;
+  const cue = [...tl.cues].reverse().find((c) => c.t <= t) || null;
+  let lit = null;
+  if (cue && t < cue.end) {
+    const done = cue.steps.reduce((n, s) => (s.t <= t ? Math.max(n, s.step + 1) : n), 0); // sequences: the furthest step reached
+    lit = cue.seq ? cue.seq[Math.min(done, cue.seq.length - 1)] : cue.index;
+  }
+  const pressed = tl.cues.flatMap((c) => c.presses).filter((p) => p.t <= t && t < p.t + REPLAY_PRESS_MS).sort((a, b) => b.t - a.t);
+  return { config, cue, lit, pressed, presses: cue ? cue.presses.filter((p) => p.t <= t) : [], misses: cue ? cue.misses.filter((m) => m.t <= t) : [] };
+}
+
+// -------------------- Session persistence --------------------
+
+/**
+ * @typedef {Object} SavedHostSession  what a host needs to pick its lobby back up after a reload
+ * @property {string} code
+ * @property {string} hostKey     reclaims the host role on the relay
+ * @property {string} relayUrl
+ * @property {boolean} p2p
+ * @property {LobbyConfig} config
+ * @property {Record<string, object>} players  roster
+ * @property {Record<string, PlayerGroup>} groups
+ * @property {string[]} banned
+ * @property {{line:string, grade?:string, tag?:string}[]} log  newest first
+ * @property {ResultRecord[]} results
+ * @property {number} savedAt
+ */
+const HOST_SESSION_KEY = "caveman-hunt-host-session";
+const HOST_SESSION_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+const SAVED_LOG_LIMIT = 300;
+const SAVED_RESULTS_LIMIT = 5000;
+// Per tab (sessionStorage): a reload rejoins as the same player, while other tabs stay separate players
+const CLIENT_ID_KEY = "caveman-hunt-client-id";
+const PLAYER_SESSION_KEY = "caveman-hunt-player-session";
+const TAB_CHANNEL = "caveman-hunt-tabs";
+const TAB_CHECK_MS = 150; // how long a tab waits for another one to object to its client id
+const HOST_SAVE_MS = 1000; // host session saves are batched to at most one per this interval
+
+/** @returns {SavedHostSession|null} */
+function loadHostSession(storage = localStorage, now = Date.now()) {
+  try {
+    const s = JSON.parse(storage.getItem(HOST_SESSION_KEY) || "null");
+    return s && s.code && s.hostKey && s.config && now - (s.savedAt || 0) < HOST_SESSION_MAX_AGE_MS ? s : null;
+  } catch { return null; }
+}
+function saveHostSession(session, storage = localStorage) {
+  const { log = [], results = [] } = session;
+  try { storage.setItem(HOST_SESSION_KEY, JSON.stringify({ ...session, log: log.slice(0, SAVED_LOG_LIMIT), results: results.slice(-SAVED_RESULTS_LIMIT), savedAt: Date.now() })); } catch {}
+}
+function clearHostSession(storage = localStorage) {
+  try { storage.removeItem(HOST_SESSION_KEY); } catch {}
+}
+
+/** Roster of a resumed lobby: players who had left stay gone, the rest get a fresh presence window to check back in. */
+const resumedRoster = (players = {}, now = Date.now()) =>
+  Object.fromEntries(Object.entries(players).filter(([, p]) => !p.leftAt).map(([id, p]) => [id, { ...p, lastSeen: now }]));
+
+const newClientId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+function persistentClientId(storage = typeof sessionStorage !== "undefined" ? sessionStorage : null, fresh = false) {
+  try {
+    const saved = !fresh && storage?.getItem(CLIENT_ID_KEY); if (saved) return saved;
+    const id = newClientId();
+    storage?.setItem(CLIENT_ID_KEY, id);
+    return id;
+  } catch { return newClientId(); }
+}
+
+/**
+ * Duplicating a tab copies its sessionStorage, client id included. Tabs answer a claim on their id, so a tab
+ * that hears one for its own id within TAB_CHECK_MS takes a fresh id; `onChecked(id)` gets the id to use.
+ * @returns {() => void} stop
+ */
+function guardClientId(id, onChecked, storage) {
+  let ch; try { ch = new BroadcastChannel(TAB_CHANNEL); } catch {}
+  if (!ch) { onChecked(id); return () => {}; }
+  let mine = id;
+  let timer = null;
+  ch.onmessage = (e) => {
+    if (e.data?.claim === mine) ch.postMessage({ taken: mine });
+    else if (e.data?.taken === mine && timer) mine = persistentClientId(storage, true);
+  };
+  ch.postMessage({ claim: mine });
+  timer = setTimeout(() => { timer = null; onChecked(mine); }, TAB_CHECK_MS);
+  return () => { clearTimeout(timer); timer = null; try { ch.close(); } catch {} };
+}
+
+/** @returns {{code:string, name:string, relayUrl:string, p2p:boolean}|null} the lobby this tab was playing in */
+function loadPlayerSession() {
+  try { const s = JSON.parse(sessionStorage.getItem(PLAYER_SESSION_KEY) || "null"); return s?.code && s.name ? s : null; } catch { return null; }
+}
+function savePlayerSession(session) {
+  try { if (session) sessionStorage.setItem(PLAYER_SESSION_KEY, JSON.stringify(session)); else sessionStorage.removeItem(PLAYER_SESSION_KEY); } catch {}
+}
+
+// -------------------- Encounter scripts --------------------
+
+/**
+ * @typedef {Object} EncounterStep
+ * @property {string} id
+ * @property {number} at            seconds from the start of the run
+ * @property {number|null} until    random timing: the step fires at a random moment in [at, until] seconds
+ * @property {CueKind|"sequence"} action
+ * @property {number|null} button   cue steps: button index, null = a random button
+ * @property {number[]} seq         sequence steps: button order
+ * @property {string} target        "all" | "group:<name>" | "player:<name>" — by name, so scripts outlive the lobby
+ */
+/** @typedef {{id:string, name:string, steps:EncounterStep[]}} EncounterScript */
+/** @typedef {{atMs:number, step:EncounterStep, index:number|null, seq:number[]}} PlannedStep */
+
+const ENCOUNTERS_KEY = "caveman-hunt-encounters";
+const ENCOUNTER_FORMAT = "caveman-hunt-encounter";
+const ENCOUNTER_VERSION = 1;
+const ENCOUNTER_ACTIONS = [["single", "Tap"], ["hold", "Hold"], ["mash", "Mash"], ["release", "Release"], ["sequence", "Sequence"]];
+
+/** @returns {EncounterStep} */
+const newStep = (at = 0) => ({ id: cueId(), at, until: null, action: "single", button: 0, seq: [], target: "all" });
+/** @returns {EncounterScript} */
+const newScript = (name) => ({ id: cueId(), name, steps: [newStep(2)] });
+
+function loadEncounters() {
+  try { const list = JSON.parse(localStorage.getItem(ENCOUNTERS_KEY) || "[]"); return Array.isArray(list) ? list : []; } catch { return []; }
+}
+function saveEncounters(list) {
+  try { localStorage.setItem(ENCOUNTERS_KEY, JSON.stringify(list)); } catch {}
+}
+
+/**
+ * Fix the random parts of a script for one run: fire times (ms, sorted) and random buttons.
+ * Sequence steps drop buttons the lobby does not have; a sequence left empty is skipped.
+ * @param {EncounterScript} script @param {number} buttonCount @returns {PlannedStep[]}
+ */
+function planEncounter(script, buttonCount, rand = Math.random) {
+  return script.steps
+    .map((step) => {
+      const at = step.until != null && step.until > step.at ? step.at + rand() * (step.until - step.at) : step.at;
+      const index = step.action === "sequence" ? null : step.button == null || step.button >= buttonCount ? Math.floor(rand() * buttonCount) : step.button;
+      return { atMs: Math.round(Math.max(0, at) * 1000), step, index, seq: step.seq.filter((i) => i < buttonCount) };
+    })
+    .filter((p) => p.step.action !== "sequence" || p.seq.length > 0)
+    .sort((a, b) => a.atMs - b.atMs);
+}
+
+/** Resolve a script target (by group / player name) against the current lobby, like resolveTarget. */
+function resolveScriptTarget(target, players, groups) {
+  const kind = target.slice(0, target.indexOf(":"));
+  const name = target.slice(target.indexOf(":") + 1);
+  const pool = kind === "group" ? groups : kind === "player" ? players : null;
+  if (!pool) return resolveTarget("all", players, groups);
+  const id = Object.keys(pool).find((k) => pool[k].name === name);
+  return id ? resolveTarget(`${kind}:${id}`, players, groups) : { ids: [], label: `${name} (not in lobby)`, to: [] };
+}
+
+/** One-line description, e.g. "2.0s Tap Dodge → everyone" */
+function describeStep(step, names) {
+  const when = step.until != null ? `${step.at.toFixed(1)}–${step.until.toFixed(1)}s` : `${step.at.toFixed(1)}s`;
+  const label = ENCOUNTER_ACTIONS.find(([k]) => k === step.action)?.[1] || step.action;
+  const what = step.action === "sequence" ? step.seq.map((i) => names[i] || `#${i + 1}`).join(" → ") : step.button == null ? "random button" : names[step.button] || `#${step.button + 1}`;
+  const to = step.target === "all" ? "everyone" : step.target.slice(step.target.indexOf(":") + 1);
+  return `${when} ${label} ${what} → ${to}`;
+}
+
+function encounterToJson(script) {
+  return JSON.stringify({ format: ENCOUNTER_FORMAT, version: ENCOUNTER_VERSION, exportedAt: new Date().toISOString(), script }, null, 2);
+}
+
+const isButton = (v) => Number.isInteger(v) && v >= 0 && v < 6;
+const isScriptTarget = (v) => v === "all" || (typeof v === "string" && /^(group|player):./.test(v));
+
+/** A step from a file, checked field by field and given a fresh id; null when it cannot be run. */
+function normalizeStep(st) {
+  if (!st || typeof st !== "object") return null;
+  const step = { ...newStep(), ...st, id: cueId() };
+  const time = (v) => typeof v === "number" && Number.isFinite(v) && v >= 0;
+  if (!time(step.at) || !ENCOUNTER_ACTIONS.some(([k]) => k === step.action)) return null;
+  if (step.until != null && !time(step.until)) return null;
+  if (step.button != null && !isButton(step.button)) return null;
+  if (!isScriptTarget(step.target)) return null;
+  if (!Array.isArray(step.seq) || !step.seq.every(isButton)) return null;
+  if (step.action === "sequence" && step.seq.length === 0) return null;
+  return { id: step.id, at: step.at, until: step.until ?? null, action: step.action, button: step.button ?? null, seq: step.seq, target: step.target };
+}
+
+/** Parse an exported encounter; throws with a readable message. The script gets a fresh id; steps that cannot run are dropped. */
+function parseEncounter(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error("Not a JSON file"); }
+  if (!data || data.format !== ENCOUNTER_FORMAT) throw new Error("Not a Caveman Hunt encounter file");
+  if (data.version > ENCOUNTER_VERSION) throw new Error(`Encounter file version ${data.version} is newer than this app supports`);
+  const sc = data.script;
+  if (!sc || typeof sc.name !== "string" || !Array.isArray(sc.steps)) throw new Error("Encounter file is missing its steps");
+  const steps = sc.steps.map(normalizeStep).filter(Boolean);
+  return { id: cueId(), name: sc.name, steps };
+}
+
+// -------------------- Lobby presets --------------------
+
+/** @typedef {{id:string, name:string, settings:Partial<LobbyConfig>}} LobbyPreset  settings: a LobbyConfig minus its code */
+
+const PRESET_FIELDS = ["buttonCount", "names", "thresholds", "leniencyMs", "glowGapMs", "hostFlashMs", "points", "seqVerdict", "wrongPress", "presence", "adaptive"];
+const PRESETS_KEY = "caveman-hunt-presets";
+const PRESET_CHOICE_KEY = "caveman-hunt-preset"; // id of the preset the next lobby starts from
+const PRESET_FORMAT = "caveman-hunt-preset";
+const PRESET_VERSION = 1;
+const PRESET_URL_PARAM = "preset";
+
+/** @returns {LobbyPreset} */
+function presetFromConfig(name, config) {
+  const settings = Object.fromEntries(PRESET_FIELDS.filter((k) => config[k] !== undefined).map((k) => [k, config[k]]));
+  return { id: cueId(), name, settings: JSON.parse(JSON.stringify(settings)) };
+}
+
+/** Lay preset settings over a config, keeping its code. Nested settings merge; the button list is normalized. */
+function applyPreset(config, settings) {
+  const next = { ...config };
+  for (const k of PRESET_FIELDS) {
+    const v = settings?.[k];
+    if (v == null) continue;
+    next[k] = typeof v === "object" && !Array.isArray(v) ? { ...config[k], ...v } : v;
+  }
+  const count = clamp(Math.round(Number(next.buttonCount)) || 4, 2, 6);
+  const names = Array.isArray(next.names) ? next.names : [];
+  return { ...next, buttonCount: count, names: Array.from({ length: count }, (_, i) => (typeof names[i] === "string" ? names[i] : `Button ${i + 1}`)) };
+}
+
+function loadPresets() {
+  try { const list = JSON.parse(localStorage.getItem(PRESETS_KEY) || "[]"); return Array.isArray(list) ? list : []; } catch { return []; }
+}
+function savePresets(list) {
+  try { localStorage.setItem(PRESETS_KEY, JSON.stringify(list)); } catch {}
+}
+
+function presetToJson(preset, space = 2) {
+  return JSON.stringify({ format: PRESET_FORMAT, version: PRESET_VERSION, preset: { name: preset.name, settings: preset.settings } }, null, space);
+}
+
+const isCount = (v) => typeof v === "number" && Number.isFinite(v) && v >= 0;
+const pickValid = (obj, keys, ok) => (obj && typeof obj === "object" ? Object.fromEntries(keys.filter((k) => ok(obj[k])).map((k) => [k, obj[k]])) : undefined);
+
+/** Shared preset settings, checked field by field; values of the wrong type are dropped so the defaults stay. */
+function checkPresetSettings(s) {
+  const oneOf = (...vals) => (v) => vals.includes(v);
+  return {
+    buttonCount: isCount(s.buttonCount) ? s.buttonCount : undefined,
+    names: Array.isArray(s.names) ? s.names.map((n) => (typeof n === "string" ? n : null)) : undefined,
+    thresholds: pickValid(s.thresholds, Object.keys(defaultConfig("").thresholds), isCount),
+    leniencyMs: isCount(s.leniencyMs) ? s.leniencyMs : undefined,
+    glowGapMs: isCount(s.glowGapMs) ? s.glowGapMs : undefined,
+    hostFlashMs: isCount(s.hostFlashMs) ? s.hostFlashMs : undefined,
+    points: pickValid(s.points, Object.keys(DEFAULT_POINTS), (v) => typeof v === "number" && Number.isFinite(v)),
+    seqVerdict: { ...pickValid(s.seqVerdict, ["rule"], oneOf("worst", "average", "misses")), ...pickValid(s.seqVerdict, ["misses"], isCount) },
+    wrongPress: { ...pickValid(s.wrongPress, ["policy"], oneOf("ignore", "failure", "penalty", "abort")), ...pickValid(s.wrongPress, ["penaltyMs"], isCount) },
+    presence: pickValid(s.presence, Object.keys(DEFAULT_PRESENCE), isCount),
+    adaptive: { ...pickValid(s.adaptive, ["enabled"], (v) => typeof v === "boolean"), ...pickValid(s.adaptive, ["minScale", "maxScale", "window"], (v) => isCount(v) && v > 0) },
+  };
+}
+
+/** Parse a shared preset (file or link); throws with a readable message. The preset gets a fresh id. */
+function parsePreset(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error("Not a JSON file"); }
+  if (!data || data.format !== PRESET_FORMAT) throw new Error("Not a Caveman Hunt preset");
+  if (data.version > PRESET_VERSION) throw new Error(`Preset version ${data.version} is newer than this app supports`);
+  const p = data.preset;
+  if (!p || typeof p.name !== "string" || !p.settings || typeof p.settings !== "object") throw new Error("Preset is missing its settings");
+  return presetFromConfig(p.name.slice(0, 60), applyPreset(defaultConfig(""), checkPresetSettings(p.settings)));
+}
+
+const toBase64Url = (text) => btoa(String.fromCharCode(...new TextEncoder().encode(text))).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+const fromBase64Url = (s) => new TextDecoder().decode(Uint8Array.from(atob(s.replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0)));
+
+/** Shareable link; the preset rides in the hash (#preset=…), so it never reaches a server. */
+function presetLink(preset, loc = window.location) {
+  return `${loc.origin}${loc.pathname}#${PRESET_URL_PARAM}=${toBase64Url(presetToJson(preset, 0))}`;
+}
+
+/** Preset carried by a link's hash, or null; throws when the link holds a broken one. */
+function presetFromHash(hash) {
+  const encoded = new URLSearchParams(hash.replace(/^#/, "")).get(PRESET_URL_PARAM);
+  if (!encoded) return null;
+  let text;
+  try { text = fromBase64Url(encoded); } catch { throw new Error("The preset link is damaged"); }
+  return parsePreset(text);
+}
+
+// -------------------- Feedback (audio / haptics) --------------------
+
+/**
+ * @typedef {Object} FeedbackSettings  player-side, saved per device
+ * @property {number} volume     0..1
+ * @property {boolean} muted
+ * @property {boolean} vibrate
+ * @property {string[]} sounds   CUE_SOUNDS key per button index
+ */
+const FEEDBACK_KEY = "caveman-hunt-feedback";
+/** Synthesized cue voices; each button plays its voice at its own pitch. */
+const CUE_SOUNDS = { tone: "Tone", chime: "Chime", drum: "Drum", click: "Click", none: "Silent" };
+const BUTTON_PITCHES = [392, 440, 523.25, 587.33, 659.25, 783.99]; // G4 A4 C5 D5 E5 G5
+/** Per grade: notes as [frequency, start offset s, duration s, waveform] */
+const GRADE_NOTES = {
+  Perfect: [[784, 0, 0.1, "triangle"], [1175, 0.08, 0.18, "triangle"]],
+  Success: [[659, 0, 0.1, "triangle"], [880, 0.08, 0.12, "triangle"]],
+  "Close call": [[523, 0, 0.16, "triangle"]],
+  Slow: [[330, 0, 0.2, "sawtooth"]],
+  Failure: [[196, 0, 0.14, "square"], [147, 0.12, 0.22, "square"]],
+};
+const GRADE_VIBRATION = { Perfect: [30], Success: [30], "Close call": [50], Slow: [80], Failure: [70, 50, 70] };
+const CUE_VIBRATION = [40];
+const GRADE_FLASH_MS = 700;
+const DEFAULT_FEEDBACK = { volume: 0.6, muted: false, vibrate: true, sounds: ["tone", "tone", "tone", "tone", "tone", "tone"] };
+
+function loadFeedback() {
+  try { return { ...DEFAULT_FEEDBACK, ...JSON.parse(localStorage.getItem(FEEDBACK_KEY) || "{}") }; } catch { return DEFAULT_FEEDBACK; }
+}
+function saveFeedback(settings) {
+  try { localStorage.setItem(FEEDBACK_KEY, JSON.stringify(settings)); } catch {}
+}
+
+/**
+ * Web Audio tones and Vibration API patterns for cues and grades. Browsers keep audio suspended until a user
+ * gesture, so call unlock() from one (joining, any press); sounds before that are skipped, not queued.
+ */
+function mkFeedback() {
+  let ctx = null;
+  const audio = () => {
+    const AC = window.AudioContext || window.webkitAudioContext;
+    if (!ctx && AC) ctx = new AC();
+    if (ctx?.state === "suspended") ctx.resume().catch(() => {}); // rejects without a user gesture; unlock() retries
+    return ctx?.state === "running" ? ctx : null;
+  };
+  const note = (c, volume, { freq, at = 0, dur = 0.15, type = "sine", to = null }) => {
+    const t = c.currentTime + at;
+    const osc = c.createOscillator();
+    const gain = c.createGain();
+    osc.type = type;
+    osc.frequency.setValueAtTime(freq, t);
+    if (to) osc.frequency.exponentialRampToValueAtTime(to, t + dur);
+    gain.gain.setValueAtTime(0.3 * volume, t);
+    gain.gain.exponentialRampToValueAtTime(0.0001, t + dur);
+    osc.connect(gain).connect(c.destination);
+    osc.start(t);
+    osc.stop(t + dur + 0.02);
+  };
+  const play = (settings, notes) => {
+    if (settings.muted || settings.volume <= 0) return;
+    const c = audio(); if (!c) return;
+    for (const n of notes) note(c, settings.volume, n);
+  };
+  const vibrate = (settings, pattern) => { if (settings.vibrate) navigator.vibrate?.(pattern); };
+  return {
+    unlock() { audio(); },
+    /** A button lit up */
+    cue(index, settings) {
+      play(settings, cueNotes(settings.sounds?.[index] || "tone", BUTTON_PITCHES[index] ?? 440));
+      vibrate(settings, CUE_VIBRATION);
+    },
+    grade(grade, settings) {
+      play(settings, (GRADE_NOTES[grade] || []).map(([freq, at, dur, type]) => ({ freq, at, dur, type })));
+      vibrate(settings, GRADE_VIBRATION[grade] || CUE_VIBRATION);
+    },
+    close() { ctx?.close().catch(() => {}); ctx = null; },
+  };
+}
+
+/** Notes for a cue voice at a pitch */
+function cueNotes(sound, freq) {
+  switch (sound) {
+    case "none": return [];
+    case "chime": return [{ freq: freq * 2, dur: 0.45, type: "triangle" }, { freq: freq * 3, at: 0.02, dur: 0.3 }];
+    case "drum": return [{ freq: freq / 2, to: 40, dur: 0.22 }];
+    case "click": return [{ freq: freq * 4, dur: 0.03, type: "square" }];
+    default: return [{ freq, dur: 0.15 }];
+  }
+}
+
+// -------------------- Input (keyboard / gamepad) --------------------
+
+/**
+ * @typedef {Object} InputBindings
+ * @property {string[]} keys  KeyboardEvent.code per button index ("" = unbound)
+ * @property {number[]} pads  standard-mapping gamepad button per button index (-1 = unbound)
+ */
+const BINDINGS_KEY = "caveman-hunt-bindings";
+/** @type {InputBindings} number row; A B X Y LB RB */
+const DEFAULT_BINDINGS = { keys: ["Digit1", "Digit2", "Digit3", "Digit4", "Digit5", "Digit6"], pads: [0, 1, 2, 3, 4, 5] };
+const PAD_LABELS = ["A", "B", "X", "Y", "LB", "RB", "LT", "RT", "Back", "Start", "L3", "R3", "Up", "Down", "Left", "Right", "Home"];
+
+/**
+ * Epoch ms of an input from its timestamp: event.timeStamp / gamepad.timestamp are on the performance.now()
+ * timeline (a few older engines stamp events in epoch ms already).
+ */
+const inputTime = (ts) => (ts > 1e12 ? ts : performance.timeOrigin + (ts || performance.now()));
+
+const keyLabel = (code) => (!code ? "—" : code.replace(/^Digit|^Key|^Numpad/, (m) => (m === "Numpad" ? "Num " : "")));
+const padLabel = (b) => (b < 0 ? "—" : PAD_LABELS[b] || `#${b}`);
+
+function loadBindings() {
+  try { const b = JSON.parse(localStorage.getItem(BINDINGS_KEY) || "null"); return b && Array.isArray(b.keys) && Array.isArray(b.pads) ? b : DEFAULT_BINDINGS; } catch { return DEFAULT_BINDINGS; }
+}
+function saveBindings(b) {
+  try { localStorage.setItem(BINDINGS_KEY, JSON.stringify(b)); } catch {}
+}
+
+/** Bind a key ({key}) or pad button ({pad}) to button `index`; another button holding it loses it. */
+function rebind(bindings, index, input) {
+  const [field, value, none] = input.key != null ? ["keys", input.key, ""] : ["pads", input.pad, -1];
+  const list = bindings[field].map((v) => (v === value ? none : v));
+  list[index] = value;
+  return { ...bindings, [field]: list };
+}
+
+/**
+ * Keyboard and Gamepad API → button presses. onDown/onUp(index, at) get `at` in epoch ms from the input's own
+ * timestamp, so grading does not include render delay. Gamepads are polled per animation frame while connected.
+ * capture(fn): the next key / pad button goes to fn ({key} | {pad}, or null on Escape) instead, for rebinding.
+ */
+function mkInput({ bindings, onDown, onUp }) {
+  let current = bindings;
+  let capture = null;
+  let captured = ""; // its keyup must not click the focused Rebind button
+  let raf = 0;
+  const padState = new Map(); // "pad:button" → pressed
+  const typing = (e) => e.target instanceof Element && !!e.target.closest("input, textarea, select");
+
+  const onKey = (down) => (e) => {
+    if (typing(e)) return;
+    if (capture && down) {
+      e.preventDefault();
+      const cb = capture; capture = null; captured = e.code;
+      return cb(e.code === "Escape" ? null : { key: e.code });
+    }
+    if (!down && e.code === captured) { captured = ""; return e.preventDefault(); }
+    const index = current.keys.indexOf(e.code);
+    if (index < 0) return;
+    e.preventDefault(); // also keeps Space / Enter from clicking a focused button
+    if (down && e.repeat) return;
+    (down ? onDown : onUp)(index, inputTime(e.timeStamp));
+  };
+  const keydown = onKey(true);
+  const keyup = onKey(false);
+
+  const pads = () => [...(navigator.getGamepads?.() || [])].filter(Boolean);
+  const poll = () => {
+    raf = 0;
+    const connected = pads();
+    for (const pad of connected) {
+      pad.buttons.forEach((b, bi) => {
+        const id = `${pad.index}:${bi}`;
+        if (b.pressed === (padState.get(id) || false)) return;
+        padState.set(id, b.pressed);
+        if (b.pressed && capture) { const cb = capture; capture = null; return cb({ pad: bi }); }
+        const index = current.pads.indexOf(bi);
+        if (index >= 0) (b.pressed ? onDown : onUp)(index, inputTime(pad.timestamp));
+      });
+    }
+    if (connected.length) raf = requestAnimationFrame(poll);
+  };
+  const startPolling = () => { if (!raf) raf = requestAnimationFrame(poll); };
+
+  window.addEventListener("keydown", keydown);
+  window.addEventListener("keyup", keyup);
+  window.addEventListener("gamepadconnected", startPolling);
+  if (pads().length) startPolling();
+
+  return {
+    setBindings(b) { current = b; },
+    capture(fn) { capture = fn; },
+    stop() {
+      window.removeEventListener("keydown", keydown);
+      window.removeEventListener("keyup", keyup);
+      window.removeEventListener("gamepadconnected", startPolling);
+      if (raf) cancelAnimationFrame(raf);
+      capture = null;
+    },
+  };
+}
+
+// -------------------- Clock sync (NTP-style over NET_PING/NET_PONG) --------------------
+
+const CLOCK_SAMPLES = 8;
+const CLOCK_PING_MS = 2000;
+
+/**
+ * One offset/round-trip sample from a ping exchange.
+ * t0 = client send, t1 = host receive, t2 = host reply, t3 = client receive.
+ * offset is host clock minus client clock.
+ */
+function clockSample(t0, t1, t2, t3) {
+  return { offset: ((t1 - t0) + (t2 - t3)) / 2, rtt: Math.max(0, (t3 - t0) - (t2 - t1)) };
+}
+
+/**
+ * Rolling estimate from recent samples: offset of the fastest round trip (least queueing),
+ * jitter as the RMS spread of the other offsets around it.
+ * @param {{offset:number, rtt:number}[]} samples
+ */
+function estimateClock(samples) {
+  if (samples.length === 0) return { offset: 0, rtt: 0, jitter: 0 };
+  const best = samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+  const jitter = Math.sqrt(samples.reduce((acc, s) => acc + (s.offset - best.offset) ** 2, 0) / samples.length);
+  return { offset: Math.round(best.offset), rtt: Math.round(best.rtt), jitter: Math.round(jitter) };
+}
+
 // -------------------- Root App --------------------
 
 export default function QTEApp() {
+  // A reload while playing rejoins the same lobby (same clientId, see persistentClientId), once guardClientId has checked the id
+  const [rejoin] = useState(loadPlayerSession);
   /** @type {[Role|null, Function]} */
   const [role, setRole] = useState(null);
-  const [name, setName] = useState("");
-  const [code, setCode] = useState("");
-  const [relayUrl, setRelayUrl] = useState("");
+  const [name, setName] = useState(rejoin?.name || "");
+  const [code, setCode] = useState(rejoin?.code || "");
+  const [relayUrl, setRelayUrl] = useState(rejoin?.relayUrl || "");
+  const [p2p, setP2p] = useState(rejoin?.p2p ?? true); // with a relay: try WebRTC DataChannels, relay as fallback
   /** @type {[LobbyConfig|null, Function]} */
   const [cfg, setCfg] = useState(null);
+  const cfgRef = useRef(cfg); cfgRef.current = cfg; // for bus handlers, which outlive the render that set them up
 
   const busRef = useRef(null);
+  const recordingRef = useRef(null); // host: Recording of this lobby (every game message on the bus, see recordEvent)
+  const [recordedCount, setRecordedCount] = useState(0);
   const [players, setPlayers] = useState({});
-  const clientId = useMemo(() => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, []);
+  const playersRef = useRef(players); playersRef.current = players;
+  const bannedRef = useRef(new Set()); // client ids banned for this host session
+  const kickedRef = useRef(new Map()); // client id → when it was kicked, see recentlyKicked
+  const [clientId, setClientId] = useState(() => persistentClientId());
+  const [idChecked, setIdChecked] = useState(false);
+  useEffect(() => guardClientId(clientId, (id) => { setClientId(id); setIdChecked(true); if (rejoin) setRole("PLAYER"); }), []);
+  const feedback = useMemo(mkFeedback, []); // player cue / grade sounds and vibration
+  const [a11y, setA11y] = useState(loadA11y);
+  useEffect(() => { saveA11y(a11y); }, [a11y]);
+  const [live, setLive] = useState({ text: "", n: 0 }); // screen-reader announcement (player)
+  const say = (text) => setLive((l) => ({ text, n: l.n + 1 }));
 
   // Press flash states
   const [hostPressed, setHostPressed] = useState(null); // number|null
   const [playerPressed, setPlayerPressed] = useState(null);
-  const [net, setNet] = useState({ transport: null, state: "", room: "", relayUrl: "" });
+  const [net, setNet] = useState({ transport: null, state: "", room: "", relayUrl: "", host: "", occupancy: null, notice: "", rtcPeers: null, fallback: "", pending: 0 });
+
+  // Host secret for this lobby: proves the host role to the relay
+  const [hostKey, setHostKey] = useState("");
+  // Lobby presets (saved in localStorage); the chosen one is what the next lobby starts from
+  const [presets, setPresets] = useState(loadPresets);
+  const [presetId, setPresetId] = useState(() => { try { return localStorage.getItem(PRESET_CHOICE_KEY) || ""; } catch { return ""; } });
+  const [presetNotice, setPresetNotice] = useState("");
+  useEffect(() => { savePresets(presets); }, [presets]);
+  useEffect(() => { try { localStorage.setItem(PRESET_CHOICE_KEY, presetId); } catch {} }, [presetId]);
+  const preset = presets.find((p) => p.id === presetId) || null;
+  const addPreset = (p) => { setPresets((list) => [...list, p]); setPresetId(p.id); };
+  const loadPreset = () => preset && setCfg((c) => (c ? applyPreset(c, preset.settings) : c));
+  const savePresetAs = (presetName) => cfg && presetName.trim() && addPreset(presetFromConfig(presetName.trim(), cfg));
+  const overwritePreset = () => cfg && preset && setPresets((list) => list.map((p) => (p.id === preset.id ? { ...presetFromConfig(p.name, cfg), id: p.id } : p)));
+  const duplicatePreset = () => preset && addPreset({ ...preset, id: cueId(), name: `${preset.name} (copy)` });
+  const deletePreset = () => { setPresets((list) => list.filter((p) => p.id !== presetId)); setPresetId(""); };
+  const exportPreset = () => preset && downloadFile(`caveman-hunt-preset-${preset.name.replace(/[^\w-]+/g, "-")}.json`, presetToJson(preset), "application/json");
+  const importPreset = async (file) => {
+    if (!file) return;
+    try { const p = parsePreset(await file.text()); addPreset(p); setPresetNotice(`Added preset "${p.name}"`); } catch (e) { setPresetNotice(e.message); }
+  };
+  const copyPresetLink = () => {
+    if (!preset) return;
+    const link = presetLink(preset);
+    navigator.clipboard?.writeText(link).then(() => setPresetNotice("Link copied"), () => setPresetNotice(link)) ?? setPresetNotice(link);
+  };
+  // Opened from a preset link: offered on the start screen; nothing is added or chosen until the user says so
+  const [linkedPreset, setLinkedPreset] = useState(null);
+  useEffect(() => {
+    if (!window.location.hash.includes(`${PRESET_URL_PARAM}=`)) return;
+    const hash = window.location.hash;
+    history.replaceState(null, "", window.location.pathname + window.location.search);
+    try { setLinkedPreset(presetFromHash(hash)); } catch (e) { setPresetNotice(e.message); }
+  }, []);
+  const acceptLinkedPreset = (use) => {
+    const p = linkedPreset; if (!p) return;
+    setPresets((list) => [...list, p]); if (use) setPresetId(p.id);
+    setLinkedPreset(null); setPresetNotice(`Added preset "${p.name}" from the link`);
+  };
 
-  const createLobby = () => { const c = randomCode(5); const next = defaultConfig(c); setCfg(next); setCode(c); setRole("HOST"); };
-  const joinLobby = () => { if (!code || !name.trim()) return; setRole("PLAYER"); };
+  const createLobby = () => { const c = randomCode(5); const next = preset ? applyPreset(defaultConfig(c), preset.settings) : defaultConfig(c); setHostKey(randomSecret()); setCfg(next); setCode(c); setRole("HOST"); };
+  const joinLobby = () => { if (!code || !name.trim()) return; feedback.unlock(); setStartNotice(""); setAssignedName(""); setRole("PLAYER"); };
+  // Spectator: read-only view of a lobby, built from the traffic it overhears
+  const [spectate, setSpectate] = useState(emptySpectator);
+  const watchLobby = () => { if (code.length < 3) return; setStartNotice(""); setCfg(null); setSpectate(emptySpectator()); setRole("SPECTATOR"); };
+
+  // Player: name given by the host (deduplicated / renamed), and why we were sent back to the start screen
+  const [assignedName, setAssignedName] = useState("");
+  const [startNotice, setStartNotice] = useState("");
 
   useEffect(() => {
     if (!code) return;
     busRef.current?.destroy?.();
-    const bus = mkBus(code, relayUrl); busRef.current = bus;
+    if (role === "HOST" && recordingRef.current?.code !== code) { recordingRef.current = newRecording(code, cfg); setRecordedCount(0); }
+    const bus = role === "SPECTATOR"
+      ? listenOnly(mkBus(code, relayUrl, { p2p: false }))
+      : role === "HOST"
+        ? recorded(mkBus(code, relayUrl, { hostKey, clientId, p2p }), (ev, dir) => recordEvent(recordingRef.current, ev, dir) && setRecordedCount(recordingRef.current.events.length))
+        : mkBus(code, relayUrl, { clientId, p2p });
+    busRef.current = bus;
 
     const unsub = bus.on((ev) => {
-      if (ev.type === "CONFIG" && role === "PLAYER") setCfg(ev.config);
+      const cfg = cfgRef.current;
+      if (ev.type === "CONFIG" && (role === "PLAYER" || role === "SPECTATOR") && fromHost(ev)) setCfg(ev.config);
+      if (role === "SPECTATOR") {
+        if (isHostOnly(ev) && !fromHost(ev)) return;
+        setSpectate((st) => spectatorReduce(st, ev));
+        return;
+      }
       if (role === "HOST") {
-        if (ev.type === "HELLO") {
-          setPlayers((p) => ({ ...p, [ev.from]: { name: ev.name, lastSeen: Date.now() } }));
-          bus.post({ type: "PONG", lobby: code, from: clientId });
-          if (cfg) bus.post({ type: "CONFIG", lobby: code, config: cfg });
+        // Banned clients are turned away again whenever they show up
+        if (ev.from && bannedRef.current.has(ev.from)) {
+          if (ev.type === "HELLO" || ev.type === "HEARTBEAT") bus.post(draft.KICK({ lobby: code, to: ev.from, reason: "banned" }), { ackFrom: [ev.from] });
+          return;
+        }
+        // A kicked player only comes back with a new HELLO, not with a heartbeat sent before the KICK arrived
+        if (ev.from && kickedRef.current.has(ev.from)) {
+          if (ev.type === "HEARTBEAT" && recentlyKicked(kickedRef.current, ev.from)) return;
+          if (ev.type === "HELLO" || ev.type === "HEARTBEAT") kickedRef.current.delete(ev.from);
+        }
+        // Any message from a known player counts as a sign of life
+        if (ev.from && ev.type !== "BYE") setPlayers((p) => (p[ev.from] && !p[ev.from].leftAt ? { ...p, [ev.from]: { ...p[ev.from], lastSeen: Date.now() } } : p));
+        // The host owns display names (deduplicated or renamed); players' own name is only a request
+        const who = playersRef.current[ev.from]?.name || ev.name;
+        if (ev.type === "HELLO" || (ev.type === "HEARTBEAT" && !playersRef.current[ev.from])) {
+          const prev = playersRef.current[ev.from];
+          const assigned = prev?.renamed ? prev.name : uniqueName(ev.name, playersRef.current, ev.from);
+          const entry = { ...prev, name: assigned, lastSeen: Date.now(), leftAt: undefined };
+          playersRef.current = { ...playersRef.current, [ev.from]: entry }; // visible to a HELLO arriving before the next render
+          setPlayers((p) => ({ ...p, [ev.from]: { ...p[ev.from], ...entry } }));
+          if (assigned !== ev.name) bus.post(draft.NAME({ lobby: code, to: ev.from, name: assigned }), { ackFrom: [ev.from] });
+          bus.post(draft.PONG({ lobby: code, from: clientId }));
+          if (cfg) bus.post(draft.CONFIG({ lobby: code, config: cfg }), { ackFrom: [ev.from] });
+        } else if (ev.type === "BYE") {
+          setPlayers((p) => (p[ev.from] ? { ...p, [ev.from]: { ...p[ev.from], leftAt: Date.now() } } : p));
+          expirePendingFor(ev.from);
+          setLog((l) => [{ line: `${time()} ${who || ev.from} left the lobby` }, ...l]);
         } else if (ev.type === "QTE_RESULT") {
-          setLog((l) => [{ line: `${time()} ${ev.name} • ${cfg?.names?.[ev.index] || `Button ${ev.index + 1}`} → ${ev.grade} (${ev.rt}ms)`, grade: ev.grade }, ...l]);
+          const sentTo = targetLabel(ev.from, ev.cue);
+          resolvePending(ev.from, ev.cue); recordResult({ ...ev, name: who });
+          setLog((l) => [{ line: `${time()} ${who} • ${ev.kind && ev.kind !== "single" ? `${ev.kind} ` : ""}${cfg?.names?.[ev.index] || `Button ${ev.index + 1}`} → ${ev.grade} (${ev.timeout ? "timeout" : `${ev.rt}ms`}${cueDetail(ev)}${ev.pressed != null ? `, pressed ${cfg?.names?.[ev.pressed] || `#${ev.pressed + 1}`}` : ""})${sentTo}`, grade: ev.grade }, ...l]);
         } else if (ev.type === "SEQ_STEP_RESULT") {
-          setLog((l) => [{ line: `${time()} ${ev.name} • step ${ev.step + 1}: ${cfg?.names?.[ev.index] || `#${ev.index + 1}`} → ${ev.grade} (${ev.rt}ms)`, grade: ev.grade }, ...l]);
+          const sentTo = targetLabel(ev.from, ev.cue);
+          if (ev.timeout) resolvePending(ev.from, ev.cue); else advancePending(ev.from, ev.cue, ev.step);
+          recordResult({ ...ev, name: who });
+          setLog((l) => [{ line: `${time()} ${who} • step ${ev.step + 1}: ${cfg?.names?.[ev.index] || `#${ev.index + 1}`} → ${ev.grade} (${ev.timeout ? "timeout" : `${ev.rt}ms`}${ev.pressed != null ? `, pressed ${cfg?.names?.[ev.pressed] || `#${ev.pressed + 1}`}` : ""})${sentTo}`, grade: ev.grade }, ...l]);
+        } else if (ev.type === "WRONG_PRESS") {
+          recordResult({ ...ev, name: who });
+          setLog((l) => [{ line: `${time()} ${who} • ${ev.step != null ? `step ${ev.step + 1}: ` : ""}pressed ${cfg?.names?.[ev.index] || `#${ev.index + 1}`}, expected ${cfg?.names?.[ev.expected] || `#${ev.expected + 1}`} (${ev.policy})`, tag: "Wrong" }, ...l]);
         } else if (ev.type === "SEQ_DONE") {
-          setLog((l) => [{ line: `${time()} ${ev.name} • sequence done in ${ev.totalMs}ms — [${(ev.grades||[]).join(", ")}]` }, ...l]);
+          const sentTo = targetLabel(ev.from, ev.cue);
+          resolvePending(ev.from, ev.cue); recordResult({ ...ev, name: who });
+          setLog((l) => [{ line: `${time()} ${who} • sequence ${ev.aborted ? "aborted" : "done"} in ${ev.totalMs}ms — [${(ev.grades||[]).map((g, i) => (ev.rts?.[i] == null ? g : `${g} ${ev.rts[i]}ms`)).join(", ")}] → ${ev.verdict || "?"}${sentTo}`, grade: ev.verdict }, ...l]);
         }
       }
     });
 
-    if (role === "PLAYER" && name) bus.post({ type: "HELLO", lobby: code, from: clientId, name });
+    if (role === "PLAYER" && name) bus.post(draft.HELLO({ lobby: code, from: clientId, name }));
     return () => { unsub?.(); };
-  }, [code, role, name, cfg?.code]);
+  }, [code, role, name, cfg?.code, hostKey, p2p, clientId]);
+
+  // Clock offset to the host (host time = Date.now() + offset); the host itself stays at 0
+  const clockSamplesRef = useRef([]);
+  const [clock, setClock] = useState({ offset: 0, rtt: 0, jitter: 0 });
+  const clockRef = useRef(clock); clockRef.current = clock;
+  const hostNow = (at = Date.now()) => at + clockRef.current.offset;
 
-  // Secondary subscription for network status & ping/pong diagnostics
+  // Secondary subscription for network status & ping/pong diagnostics (re-attached whenever the effect above rebuilds the bus)
   useEffect(() => {
     const bus = busRef.current; if (!bus) return;
     const off = bus.on((ev) => {
-      if (ev.type === "__STATUS__") { setNet({ transport: ev.transport, state: ev.state, room: ev.room, relayUrl: ev.relayUrl || relayUrl }); }
+      const received = Date.now();
+      if (ev.type === "__STATUS__") {
+        setNet((n) => ({
+          transport: ev.transport, state: ev.state, room: ev.room, relayUrl: ev.relayUrl || relayUrl,
+          host: ev.host ?? (ev.state === "open" ? n.host : ""),
+          occupancy: ev.occupancy ?? (ev.state === "open" ? n.occupancy : null),
+          reason: ev.state === "closed" ? ev.reason || "" : "",
+          notice: ev.incompatible != null ? versionNotice(ev.incompatible) : n.notice,
+          rtcPeers: ev.rtcPeers ?? null,
+          pending: ev.pending ?? 0,
+          fallback: ev.transport === "rtc" ? "" : ev.fallback || n.fallback || "",
+        }));
+        // A (re)connecting host picks up players the relay already knows about
+        if (role === "HOST" && ev.occupancy?.players?.length) {
+          setPlayers((p) => {
+            const next = { ...p };
+            for (const { id, name: n } of ev.occupancy.players) if (!next[id] && !bannedRef.current.has(id) && !recentlyKicked(kickedRef.current, id)) next[id] = { name: uniqueName(n, next, id), lastSeen: Date.now() };
+            return next;
+          });
+        }
+        if (ev.dropped && role === "HOST") setLog((l) => [{ line: `${time()} Dropped a malformed message (${ev.dropped})` }, ...l]);
+        if (ev.undelivered && role === "HOST") {
+          const who = ev.undelivered.waiting.map((id) => playersRef.current[id]?.name || id).join(", ");
+          setLog((l) => [{ line: `${time()} ${ev.undelivered.type} was not acknowledged by ${who}` }, ...l]);
+        }
+        if (ev.fallback && role === "HOST") setLog((l) => [{ line: `${time()} ${ev.fallback}, using the relay for that player` }, ...l]);
+        if (ev.rejected) setLog((l) => [{ line: `${time()} Relay rejected ${ev.rejected} (${ev.reason || "not allowed"})` }, ...l]);
+        if (ev.state === "closed" && ev.reason) setLog((l) => [{ line: `${time()} Relay closed the connection: ${ev.reason}` }, ...l]);
+        if (ev.host === "denied") setLog((l) => [{ line: `${time()} Relay refused the host role for this lobby (another host holds it)` }, ...l]);
+      }
       if (ev.type === "NET_PING" && ev.from !== clientId) {
+        if (ev.sync) {
+          // Only the host is the time reference; it also keeps each player's last reported estimate
+          if (role !== "HOST") return;
+          bus.post(draft.NET_PONG({ lobby: code, from: clientId, to: ev.from, sync: true, t0: ev.t0, t1: received, t2: Date.now() }));
+          if (ev.clock) setPlayers((p) => (p[ev.from] ? { ...p, [ev.from]: { ...p[ev.from], clock: ev.clock } } : p));
+          return;
+        }
         setLog((l)=>[{ line: `${time()} Ping from ${ev.name||ev.from}` }, ...l]);
-        bus.post({ type: "NET_PONG", lobby: code, from: clientId, name, ts: Date.now() });
+        bus.post(draft.NET_PONG({ lobby: code, from: clientId, name, ts: Date.now() }));
       }
       if (ev.type === "NET_PONG") {
+        if (ev.sync) {
+          if (ev.to !== clientId || !fromHost(ev)) return;
+          clockSamplesRef.current = [...clockSamplesRef.current, clockSample(ev.t0, ev.t1, ev.t2, received)].slice(-CLOCK_SAMPLES);
+          setClock(estimateClock(clockSamplesRef.current));
+          return;
+        }
         setLog((l)=>[{ line: `${time()} Pong from ${ev.name||ev.from}` }, ...l]);
       }
     });
     return () => off?.();
-  }, [code, relayUrl, clientId]);
+  }, [code, role, name, cfg?.code, hostKey, p2p, relayUrl, clientId]);
+
+  // Player: periodic sync pings, carrying the current estimate so the host can display it
+  useEffect(() => {
+    if (role !== "PLAYER" || !code) return;
+    clockSamplesRef.current = []; setClock({ offset: 0, rtt: 0, jitter: 0 });
+    const ping = () => busRef.current?.post(draft.NET_PING({ lobby: code, from: clientId, name, sync: true, t0: Date.now(), clock: clockRef.current }));
+    ping();
+    const id = window.setInterval(ping, CLOCK_PING_MS);
+    return () => window.clearInterval(id);
+  }, [role, code, clientId, name, relayUrl]);
 
-  useEffect(() => { if (role === "HOST" && cfg && busRef.current) busRef.current.post({ type: "CONFIG", lobby: cfg.code, config: cfg }); }, [cfg, role]);
+  // Host: players still in the lobby, who are expected to acknowledge broadcasts
+  const activePlayerIds = () => Object.keys(playersRef.current).filter((id) => !playersRef.current[id].leftAt);
+  const broadcastConfig = () => busRef.current?.post(draft.CONFIG({ lobby: cfg.code, config: cfg }), { ackFrom: activePlayerIds() });
+  useEffect(() => { if (role === "HOST" && cfg && busRef.current) broadcastConfig(); }, [cfg, role]);
 
   const [log, setLog] = useState([]);
+  const [stats, setStats] = useState(emptyStats);
+  /** @type {[ResultRecord[], Function]} */
+  const [results, setResults] = useState([]);
+  const recordResult = (ev) => { const rec = toRecord(ev); setResults((r) => [...r, rec]); setStats((st) => applyResult(st, rec)); tuneFrom(rec); };
+
+  // Host: adaptive difficulty. Per player {rts, locked, thresholds}; effective thresholds travel in CONFIG.playerThresholds
+  const [tuning, setTuning] = useState({});
+  const tuneFrom = (rec) => {
+    const cfg = cfgRef.current;
+    const sample = cfg && tuningSample(rec, cfg.thresholds); if (sample == null) return;
+    setTuning((tu) => { const p = tu[rec.from] || { rts: [], locked: false, thresholds: null }; return p.locked ? tu : { ...tu, [rec.from]: { ...p, rts: [...p.rts, sample].slice(-ADAPTIVE_KEEP) } }; });
+  };
+  const resetTuning = (id) => setTuning((tu) => ({ ...tu, [id]: { ...tu[id], rts: [], thresholds: null } }));
+  const toggleTuningLock = (id) => setTuning((tu) => {
+    const p = tu[id] || { rts: [], locked: false, thresholds: null };
+    return { ...tu, [id]: { ...p, locked: !p.locked, thresholds: p.locked ? null : cfg?.playerThresholds?.[id] || null } };
+  });
+  useEffect(() => {
+    if (role !== "HOST" || !cfg) return;
+    const next = {};
+    if (cfg.adaptive?.enabled) for (const [id, p] of Object.entries(tuning)) {
+      const t = p.locked ? p.thresholds : adaptiveThresholds(cfg.thresholds, p.rts, cfg.adaptive);
+      if (t && players[id]) next[id] = t;
+    }
+    if (JSON.stringify(next) !== JSON.stringify(cfg.playerThresholds || {})) setCfg((c) => (c ? { ...c, playerThresholds: next } : c));
+  }, [tuning, cfg, players, role]);
+  const resetResults = () => { setResults([]); setStats(emptyStats()); };
+
+  // Loaded session file shown in place of the live scoreboard: {fileName, config, results, stats} | null
+  const [review, setReview] = useState(null);
+  const [importError, setImportError] = useState("");
+  const importInputRef = useRef(null);
+  const exportName = (ext) => `caveman-hunt-${cfg?.code || "session"}-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-")}.${ext}`;
+  const exportCsv = () => downloadFile(exportName("csv"), resultsToCsv(results, cfg?.names), "text/csv");
+  const exportJson = () => cfg && downloadFile(exportName("json"), sessionToJson(cfg, results), "application/json");
+  // Recording open in the replay viewer
+  const [replay, setReplay] = useState(null); // Recording & {fileName?} | null
+  const [replayError, setReplayError] = useState("");
+  const replayInputRef = useRef(null);
+  const replayLive = () => recordingRef.current && setReplay({ ...recordingRef.current, events: [...recordingRef.current.events] });
+  const exportRecording = () => recordingRef.current && downloadFile(exportName("recording.json"), recordingToJson(recordingRef.current), "application/json");
+  const importRecording = async (file) => {
+    if (!file) return;
+    try { setReplay({ ...parseRecording(await file.text()), fileName: file.name }); setReplayError(""); } catch (e) { setReplayError(e.message); }
+  };
+  const importSession = async (file) => {
+    if (!file) return;
+    try {
+      const { config, results: recs } = parseSession(await file.text());
+      setReview({ fileName: file.name, config, results: recs, stats: recs.reduce(applyResult, emptyStats()) });
+      setImportError("");
+    } catch (e) { setImportError(e.message); }
+  };
 
   // Player-side active cue / sequence
-  const [activeCue, setActiveCue] = useState(null); // {index,start} | null
-  const [activeSeq, setActiveSeq] = useState(null); // {seq,at,start} | null
+  const [activeCue, setActiveCue] = useState(null); // {kind,cue,index,start,...params, presses,downAt,penalty} | null
+  const [activeSeq, setActiveSeq] = useState(null); // {cue,seq,at,start,grades,rts} | null
   const [showSeqHighlight, setShowSeqHighlight] = useState(true);
   const seqGapTimer = useRef(null);
 
   // Host sequence builder
   const [buildingSeq, setBuildingSeq] = useState(null); // number[] | null
-  const [targetPlayer, setTargetPlayer] = useState(null);
 
-  const sendSingleQTE = (index) => { if (!cfg) return; busRef.current?.post({ type: "QTE_SINGLE", lobby: cfg.code, index, ts: Date.now() }); };
+  // Host cue targeting: "all" | "player:<id>" | "group:<id>", and named player groups
+  const [cueTarget, setCueTarget] = useState("all");
+  /** @type {[Record<string, PlayerGroup>, Function]} */
+  const [groups, setGroups] = useState({});
+  const [newGroupName, setNewGroupName] = useState("");
+  const addGroup = () => { const n = newGroupName.trim(); if (!n) return; setGroups((g) => ({ ...g, [cueId()]: { name: n, members: [] } })); setNewGroupName(""); };
+  const removeGroup = (id) => { setGroups(({ [id]: _, ...rest }) => rest); setCueTarget((t) => (t === `group:${id}` ? "all" : t)); };
+  const toggleMember = (id, player) => setGroups((g) => ({ ...g, [id]: { ...g[id], members: g[id].members.includes(player) ? g[id].members.filter((m) => m !== player) : [...g[id].members, player] } }));
+  const target = resolveTarget(cueTarget, players, groups);
+
+  // Host-side outstanding cues: playerId → cueId → {kind, index, step, seq, deadline, target}
+  const pendingRef = useRef({});
+  const trackPending = (player, cue, entry) => { pendingRef.current = { ...pendingRef.current, [player]: { ...(pendingRef.current[player] || {}), [cue]: entry } }; };
+  const resolvePending = (player, cue) => {
+    const cues = pendingRef.current[player]; if (!cues || !cues[cue]) return;
+    const { [cue]: _, ...rest } = cues;
+    pendingRef.current = { ...pendingRef.current, [player]: rest };
+  };
+  // Host moderation
+  const [menuFor, setMenuFor] = useState(null); // player id with the open moderation menu
+  const [renameDraft, setRenameDraft] = useState("");
+  const [bannedCount, setBannedCount] = useState(0);
+  const removePlayer = (id, ban) => {
+    const p = players[id];
+    if (ban) { bannedRef.current.add(id); setBannedCount(bannedRef.current.size); } else kickedRef.current.set(id, Date.now());
+    busRef.current?.post(draft.KICK({ lobby: cfg.code, to: id, reason: ban ? "banned" : "kicked" }), { ackFrom: [id] });
+    expirePendingFor(id);
+    setPlayers(({ [id]: _, ...rest }) => rest);
+    setMenuFor(null);
+    setLog((l) => [{ line: `${time()} ${p?.name || id} was ${ban ? "banned" : "kicked"}` }, ...l]);
+  };
+  const renamePlayer = (id, wanted) => {
+    if (!wanted.trim() || !players[id]) return;
+    const next = uniqueName(wanted, players, id);
+    setPlayers((p) => ({ ...p, [id]: { ...p[id], name: next, renamed: true } }));
+    busRef.current?.post(draft.NAME({ lobby: cfg.code, to: id, name: next }), { ackFrom: [id] });
+    setLog((l) => [{ line: `${time()} Renamed ${players[id].name} → ${next}` }, ...l]);
+    setMenuFor(null);
+  };
+
+  // A player who left answers nothing: let the next sweep fail their outstanding cues
+  const expirePendingFor = (player) => {
+    const cues = pendingRef.current[player]; if (!cues) return;
+    const past = Date.now() - TIMEOUT_GRACE_MS - 1;
+    pendingRef.current = { ...pendingRef.current, [player]: Object.fromEntries(Object.entries(cues).map(([k, c]) => [k, { ...c, deadline: Math.min(c.deadline, past) }])) };
+  };
+  const targetLabel = (player, cue) => { const t = pendingRef.current[player]?.[cue]?.target; return t ? ` [to ${t}]` : ""; };
+  const advancePending = (player, cue, step) => {
+    const c = pendingRef.current[player]?.[cue]; const cfg = cfgRef.current; if (!c || !cfg) return;
+    trackPending(player, cue, { ...c, step: step + 1, index: c.seq[step + 1], deadline: Date.now() + (cfg.glowGapMs ?? 120) + cfg.thresholds.timeout });
+  };
+
+  // Host: fail cues nobody answered (e.g. player left mid-cue)
+  useEffect(() => {
+    if (role !== "HOST") return;
+    const id = window.setInterval(() => {
+      const expired = expiredCues(pendingRef.current, Date.now());
+      if (expired.length === 0) return;
+      const players = playersRef.current;
+      for (const c of expired) {
+        resolvePending(c.player, c.cue);
+        recordResult({ type: c.kind === "seq" ? "SEQ_STEP_RESULT" : "QTE_RESULT", from: c.player, name: players[c.player]?.name, index: c.index, step: c.step, grade: "Failure", timeout: true });
+      }
+      setLog((l) => [...expired.map((c) => ({
+        line: `${time()} ${players[c.player]?.name || c.player} • ${c.kind === "seq" ? `step ${c.step + 1}: ` : ""}${cfg?.names?.[c.index] || `Button ${c.index + 1}`} → Failure (timeout, no response)${c.target ? ` [to ${c.target}]` : ""}`,
+        grade: "Failure",
+      })), ...l]);
+    }, 500);
+    return () => window.clearInterval(id);
+  }, [role, cfg]);
+
+  // Host: presence clock — ages the roster and drops players silent past presence.removeMs
+  const [presenceNow, setPresenceNow] = useState(Date.now());
+  useEffect(() => {
+    if (role !== "HOST") return;
+    const id = window.setInterval(() => {
+      const now = Date.now(); setPresenceNow(now);
+      setPlayers((p) => prunePlayers(p, now, cfg?.presence));
+    }, 1000);
+    return () => window.clearInterval(id);
+  }, [role, cfg?.presence]);
+
+  // Host: the lobby survives a reload (saved on every change, offered for resuming on the start screen)
+  const [savedHost, setSavedHost] = useState(() => loadHostSession());
+  // Saved at most every HOST_SAVE_MS, and without lastSeen (it changes with every heartbeat; resuming resets it anyway)
+  const hostSaveRef = useRef({ timer: null, session: null });
+  const flushHostSave = () => { const h = hostSaveRef.current; window.clearTimeout(h.timer); h.timer = null; if (h.session) saveHostSession(h.session); h.session = null; };
+  const cancelHostSave = () => { const h = hostSaveRef.current; window.clearTimeout(h.timer); h.timer = null; h.session = null; };
+  const rosterJson = JSON.stringify(Object.fromEntries(Object.entries(players).map(([id, { lastSeen, ...p }]) => [id, p])));
+  useEffect(() => {
+    if (role !== "HOST" || !cfg || !hostKey) return;
+    const h = hostSaveRef.current;
+    h.session = { code, hostKey, relayUrl, p2p, config: cfg, players: JSON.parse(rosterJson), groups, banned: [...bannedRef.current], log, results };
+    if (!h.timer) h.timer = window.setTimeout(flushHostSave, HOST_SAVE_MS);
+  }, [role, code, hostKey, relayUrl, p2p, cfg, rosterJson, groups, bannedCount, log, results]);
+  useEffect(() => {
+    if (role !== "HOST") return;
+    window.addEventListener("pagehide", flushHostSave);
+    return () => window.removeEventListener("pagehide", flushHostSave);
+  }, [role]);
+  const resumeLobby = () => {
+    const s = savedHost; if (!s) return;
+    bannedRef.current = new Set(s.banned || []); setBannedCount(bannedRef.current.size);
+    setPlayers(resumedRoster(s.players)); setGroups(s.groups || {});
+    setResults(s.results || []); setStats((s.results || []).reduce(applyResult, emptyStats()));
+    setLog([{ line: `${time()} Resumed lobby ${s.code}, config re-sent` }, ...(s.log || [])]);
+    setRelayUrl(s.relayUrl || ""); setP2p(s.p2p !== false); setHostKey(s.hostKey);
+    setCfg(s.config); setCode(s.code); setSavedHost(null); setRole("HOST"); // the bus rebinds to the room and re-broadcasts CONFIG
+  };
+  const discardSavedHost = () => { clearHostSession(); setSavedHost(null); };
+  const endLobby = () => { cancelHostSave(); clearHostSession(); setSavedHost(null); setRole(null); };
+  // Player: remember this tab's lobby while in it
+  useEffect(() => { if (idChecked) savePlayerSession(role === "PLAYER" && code && name ? { code, name, relayUrl, p2p } : null); }, [idChecked, role, code, name, relayUrl, p2p]);
+
+  // Player: heartbeats while in a lobby, BYE on exit or when the page goes away
+  const leaveLobby = () => { busRef.current?.post(draft.BYE({ lobby: code, from: clientId, name })); setRole(null); };
+  useEffect(() => {
+    if (role !== "PLAYER" || !code) return;
+    const id = window.setInterval(() => busRef.current?.post(draft.HEARTBEAT({ lobby: code, from: clientId, name, ts: Date.now() })), HEARTBEAT_MS);
+    const onPageHide = () => busRef.current?.post(draft.BYE({ lobby: code, from: clientId, name }));
+    window.addEventListener("pagehide", onPageHide);
+    return () => { window.clearInterval(id); window.removeEventListener("pagehide", onPageHide); };
+  }, [role, code, clientId, name, relayUrl]);
+
+  // Host cue type + params used when tapping a button
+  const [cueMode, setCueMode] = useState({ kind: "single", holdMs: 800, count: 6, windowMs: 2000, openMs: 1000, releaseWindowMs: 300 });
+
+  // Cue / sequence to a resolved target (see resolveTarget); shared by the live controls and the encounter runner
+  const fireCue = (kind, index, params, to) => {
+    if (!cfg) return false; const cue = cueId(); const now = Date.now();
+    if (to.to !== undefined && to.ids.length === 0) return false;
+    busRef.current?.post(draftMessage(CUE_TYPES[kind], { lobby: cfg.code, to: to.to, cue, index, ...params, ts: now }), { ackFrom: to.ids });
+    const deadline = now + cueDeadlineMs({ kind, ...params }, cfg.thresholds);
+    for (const id of to.ids) trackPending(id, cue, { kind, index, deadline, target: to.label });
+    return true;
+  };
+  const fireSequence = (seq, to) => {
+    if (!cfg || seq.length === 0 || to.ids.length === 0) return false;
+    const cue = cueId(); const now = Date.now();
+    busRef.current?.post(draft.SEQ_BEGIN({ lobby: cfg.code, to: to.ids, cue, seq, ts: now }), { ackFrom: to.ids });
+    for (const id of to.ids) trackPending(id, cue, { kind: "seq", index: seq[0], step: 0, seq, deadline: now + cfg.thresholds.timeout, target: to.label });
+    setLog((l) => [{ line: `${time()} Sent sequence [${seq.map((i) => cfg.names[i]).join(" → ")}] to ${to.label}${to.to === undefined ? "" : ` (${to.ids.map((id) => playersRef.current[id]?.name || id).join(", ")})`}` }, ...l]);
+    return true;
+  };
+
+  const sendCue = (index) => fireCue(cueMode.kind, index, cueParams(cueMode.kind, cueMode), target);
   const startSequenceBuild = () => setBuildingSeq([]);
   const addSeqButton = (index) => setBuildingSeq((s) => (s ? [...s, index] : s));
-  const cancelSequence = () => { setBuildingSeq(null); setTargetPlayer(null); };
-  const sendSequenceTo = (client) => {
-    if (!cfg || !buildingSeq || buildingSeq.length === 0 || !client) return;
-    busRef.current?.post({ type: "SEQ_BEGIN", lobby: cfg.code, to: client, seq: buildingSeq, ts: Date.now() });
-    setLog((l) => [{ line: `${time()} Sent sequence [${buildingSeq.map((i) => cfg.names[i]).join(" → ")}] to ${players[client]?.name || client}` }, ...l]);
-    setBuildingSeq(null); setTargetPlayer(null);
+  const cancelSequence = () => { setBuildingSeq(null); };
+  const sendSequence = () => { if (buildingSeq && fireSequence(buildingSeq, target)) setBuildingSeq(null); };
+
+  // Host: encounter scripts (saved in localStorage) and the runner
+  const [encounters, setEncounters] = useState(loadEncounters);
+  const [encounterId, setEncounterId] = useState(() => loadEncounters()[0]?.id || "");
+  const [encounterError, setEncounterError] = useState("");
+  useEffect(() => { saveEncounters(encounters); }, [encounters]);
+  const encounter = encounters.find((e) => e.id === encounterId) || null;
+  const updateEncounter = (next) => setEncounters((list) => list.map((e) => (e.id === next.id ? next : e)));
+  const addEncounter = (script = newScript(`Encounter ${encounters.length + 1}`)) => { setEncounters((list) => [...list, script]); setEncounterId(script.id); };
+  const deleteEncounter = (id) => { setEncounters((list) => list.filter((e) => e.id !== id)); setEncounterId((cur) => (cur === id ? "" : cur)); };
+  const exportEncounter = (script) => downloadFile(`caveman-hunt-encounter-${script.name.replace(/[^\w-]+/g, "-")}.json`, encounterToJson(script), "application/json");
+  const importEncounter = async (file) => {
+    if (!file) return;
+    try { addEncounter(parseEncounter(await file.text())); setEncounterError(""); } catch (e) { setEncounterError(e.message); }
   };
 
+  // Runner: {name, plan, startedAt, pausedAt, pausedMs, next} | null; elapsed excludes paused time
+  const [runner, setRunner] = useState(null);
+  const runnerRef = useRef(runner); runnerRef.current = runner;
+  const [runnerTenths, setRunnerTenths] = useState(0); // elapsed, for display
+  const groupsRef = useRef(groups); groupsRef.current = groups;
+  const fireStepRef = useRef(null);
+  fireStepRef.current = (planned) => {
+    const { step } = planned;
+    const to = resolveScriptTarget(step.target, playersRef.current, groupsRef.current);
+    const sent = step.action === "sequence" ? fireSequence(planned.seq, to) : fireCue(step.action, planned.index, cueParams(step.action, cueMode), to);
+    if (!sent) setLog((l) => [{ line: `${time()} Encounter step skipped, nobody to cue: ${describeStep(step, cfg?.names || [])}` }, ...l]);
+  };
+  const runnerElapsed = (r, now) => (r.pausedAt ?? now) - r.startedAt - r.pausedMs;
+  const runEncounter = (script) => {
+    if (!cfg || runner) return;
+    const plan = planEncounter(script, cfg.buttonCount);
+    if (plan.length === 0) return;
+    setRunnerTenths(0);
+    setRunner({ name: script.name, plan, startedAt: Date.now(), pausedAt: null, pausedMs: 0, next: 0 });
+    setLog((l) => [{ line: `${time()} Encounter "${script.name}" started (${plan.length} steps)` }, ...l]);
+  };
+  const pauseEncounter = () => setRunner((r) => (r && !r.pausedAt ? { ...r, pausedAt: Date.now() } : r));
+  const resumeEncounter = () => setRunner((r) => (r && r.pausedAt ? { ...r, pausedMs: r.pausedMs + Date.now() - r.pausedAt, pausedAt: null } : r));
+  const abortEncounter = () => {
+    const r = runnerRef.current; if (!r) return;
+    setRunner(null);
+    setLog((l) => [{ line: `${time()} Encounter "${r.name}" aborted at ${(runnerElapsed(r, Date.now()) / 1000).toFixed(1)}s (${r.plan.length - r.next} steps not sent)` }, ...l]);
+  };
+  useEffect(() => {
+    if (!runner || runner.pausedAt) return;
+    const id = window.setInterval(() => {
+      const r = runnerRef.current; if (!r || r.pausedAt) return;
+      const elapsed = runnerElapsed(r, Date.now());
+      let next = r.next;
+      while (next < r.plan.length && r.plan[next].atMs <= elapsed) fireStepRef.current(r.plan[next++]);
+      setRunnerTenths(Math.floor(elapsed / 100));
+      if (next === r.next) return;
+      const done = next >= r.plan.length;
+      runnerRef.current = done ? null : { ...r, next }; // before the re-render, so the next tick cannot fire a step twice
+      setRunner(runnerRef.current);
+      if (done) setLog((l) => [{ line: `${time()} Encounter "${r.name}" finished` }, ...l]);
+    }, 50);
+    return () => window.clearInterval(id);
+  }, [runner?.startedAt, runner?.pausedAt]);
+  useEffect(() => { if (role !== "HOST") setRunner(null); }, [role]);
+
   // Player bus reactions
   useEffect(() => {
     const bus = busRef.current; if (!bus) return;
     const off = bus.on((ev) => {
-      if (role !== "PLAYER" || !cfg) return;
-      if (ev.type === "QTE_SINGLE") { setActiveSeq(null); setActiveCue({ index: ev.index, start: ev.ts }); }
-      else if (ev.type === "SEQ_BEGIN" && ev.to === clientId) { setActiveCue(null); setActiveSeq({ seq: ev.seq.slice(), at: 0, start: Date.now() }); }
+      if (role !== "PLAYER") return;
+      if (isHostOnly(ev) && !fromHost(ev)) return;
+      if ((ev.type === "KICK" || ev.type === "NAME") && ev.to !== clientId) return;
+      if (ev.type === "NAME") { setAssignedName(ev.name); return; }
+      if (ev.type === "KICK") {
+        setActiveCue(null); setActiveSeq(null);
+        setStartNotice(ev.reason === "banned" ? "The host banned you from this lobby." : "The host removed you from the lobby.");
+        setRole(null); setCode("");
+        return;
+      }
+      if (!cfg) return;
+      if ((CUE_KIND_BY_TYPE[ev.type] || ev.type === "SEQ_BEGIN") && !isAddressedTo(ev, clientId)) return;
+      if (CUE_KIND_BY_TYPE[ev.type]) {
+        const kind = CUE_KIND_BY_TYPE[ev.type];
+        setActiveSeq(null);
+        setActiveCue({ kind, cue: ev.cue, index: ev.index, start: ev.ts, ...cueParams(kind, { ...ev, releaseWindowMs: ev.windowMs }), presses: 0, downAt: null });
+      }
+      else if (ev.type === "SEQ_BEGIN") { setActiveCue(null); setActiveSeq({ cue: ev.cue, seq: ev.seq.slice(), at: 0, start: Date.now(), grades: [], rts: [] }); }
     });
     return () => off?.();
   }, [role, cfg, clientId]);
 
-  const onPlayerClick = (index) => {
-    if (!cfg) return; const t = cfg.thresholds;
-    if (activeCue && activeCue.index === index) {
-      const rt = Math.max(0, Date.now() - activeCue.start);
-      const grade = gradeReaction(rt, t);
-      busRef.current?.post({ type: "QTE_RESULT", lobby: cfg.code, from: clientId, name, index, rt, grade, ts: Date.now() });
-      setActiveCue(null);
+  // Tell the host about a wrong press and return the lobby's policy for it
+  const reportWrongPress = (cue, index, expected, step) => {
+    const policy = cfg?.wrongPress?.policy || "ignore";
+    busRef.current?.post(draft.WRONG_PRESS({ lobby: cfg.code, from: clientId, name, cue, index, expected, step, policy, ts: Date.now() }));
+    return policy;
+  };
+
+  // Post the result of the active cue and clear it
+  const finishCue = (fields) => {
+    busRef.current?.post(draft.QTE_RESULT({ lobby: cfg.code, from: clientId, name, cue: activeCue.cue, kind: activeCue.kind, index: activeCue.index, ...fields, ts: Date.now() }));
+    announceGrade(fields.grade, fields.timeout ? null : fields.rt);
+    setActiveCue(null);
+  };
+
+  const onCueWrongPress = (index, rt) => {
+    const policy = reportWrongPress(activeCue.cue, index, activeCue.index);
+    if (policy === "penalty") setActiveCue({ ...activeCue, penalty: (activeCue.penalty || 0) + (cfg.wrongPress?.penaltyMs ?? 0) });
+    else if (policy === "failure" || policy === "abort") finishCue({ pressed: index, rt, grade: "Failure" });
+  };
+
+  // `at`: local epoch ms at the moment of input (see inputTime)
+  const onPlayerClick = (index, at) => {
+    if (!cfg || !activeCue) return; const t = thresholdsFor(cfg, clientId);
+    if (activeCue.kind === "hold" || activeCue.kind === "release") return; // graded on pointer down/up
+    const rt = Math.max(0, hostNow(at) - activeCue.start) + (activeCue.penalty || 0);
+    if (activeCue.index !== index) return onCueWrongPress(index, rt);
+    if (activeCue.kind === "mash") {
+      const presses = activeCue.presses + 1; const firstRt = activeCue.firstRt ?? rt;
+      if (presses < activeCue.count) { setActiveCue({ ...activeCue, presses, firstRt }); return; }
+      return finishCue({ rt: firstRt, grade: gradeMash(rt, activeCue.windowMs), presses, count: activeCue.count, elapsed: rt });
     }
+    finishCue({ rt, grade: gradeReaction(rt, t) });
+  };
+
+  // Hold / release cues start on pointer down
+  const onPlayerPressStart = (index, at) => {
+    if (!cfg || !activeCue || activeSeq) return;
+    if ((activeCue.kind !== "hold" && activeCue.kind !== "release") || activeCue.downAt != null) return;
+    const now = hostNow(at); const rt = Math.max(0, now - activeCue.start) + (activeCue.penalty || 0);
+    if (activeCue.index !== index) return onCueWrongPress(index, rt);
+    setActiveCue({ ...activeCue, downAt: now, rt });
+  };
+
+  const onPlayerPressEnd = (index, at) => {
+    if (!cfg || !activeCue || activeCue.downAt == null || activeCue.index !== index) return;
+    const now = hostNow(at);
+    if (activeCue.kind === "hold") {
+      const held = now - activeCue.downAt;
+      if (held < activeCue.holdMs) finishCue({ rt: activeCue.rt, grade: "Failure", held, holdMs: activeCue.holdMs });
+    } else if (activeCue.kind === "release") {
+      const releaseAt = now - activeCue.start + (activeCue.penalty || 0);
+      finishCue({ rt: activeCue.rt, grade: gradeRelease(releaseAt, activeCue.openMs, activeCue.windowMs), releaseAt, openMs: activeCue.openMs, windowMs: activeCue.windowMs });
+    }
+  };
+
+  // Hold completes by itself once held for holdMs
+  useEffect(() => {
+    if (!cfg || activeCue?.kind !== "hold" || activeCue.downAt == null) return;
+    const id = window.setTimeout(() => {
+      finishCue({ rt: activeCue.rt, grade: gradeHold(activeCue.rt, activeCue.holdMs, activeCue.holdMs, thresholdsFor(cfg, clientId)), held: activeCue.holdMs, holdMs: activeCue.holdMs });
+    }, Math.max(0, activeCue.downAt + activeCue.holdMs - hostNow()));
+    return () => window.clearTimeout(id);
+  }, [activeCue, cfg]);
+
+  // Report the whole sequence; steps never reached (after an abort) count as Failure
+  const finishSeq = (played, aborted = false) => {
+    if (!cfg) return;
+    const grades = played.seq.map((_, i) => played.grades[i] ?? "Failure");
+    const rts = played.seq.map((_, i) => played.rts[i] ?? null);
+    const verdict = sequenceVerdict(grades, cfg.seqVerdict);
+    busRef.current?.post(draft.SEQ_DONE({ lobby: cfg.code, from: clientId, name, cue: played.cue, totalMs: Date.now() - played.start, grades, rts, verdict, aborted, ts: Date.now() }));
   };
 
   const stepStartRef = useRef(null);
   useEffect(() => { if (activeSeq && stepStartRef.current == null) stepStartRef.current = Date.now(); if (!activeSeq) stepStartRef.current = null; }, [activeSeq]);
 
-  const onPlayerSeqClick = (index) => {
-    if (!cfg || !activeSeq) return; const t = cfg.thresholds; const expected = activeSeq.seq[activeSeq.at];
+  const onPlayerSeqClick = (index, at) => {
+    if (!cfg || !activeSeq) return; const t = thresholdsFor(cfg, clientId); const expected = activeSeq.seq[activeSeq.at];
     if (!showSeqHighlight) return; // during gap, ignore clicks
-    if (index !== expected) return;
-    const now = Date.now(); const rt = Math.max(0, now - (stepStartRef.current || now));
-    const grade = gradeWithLeniency(rt, t, cfg.leniencyMs || 0);
-    busRef.current?.post({ type: "SEQ_STEP_RESULT", lobby: cfg.code, from: clientId, name, step: activeSeq.at, index, rt, grade, ts: now });
+    const now = at ?? Date.now(); const rt = Math.max(0, now - (stepStartRef.current || now)) + (activeSeq.penalty || 0);
+    if (index !== expected) {
+      const policy = reportWrongPress(activeSeq.cue, index, expected, activeSeq.at);
+      if (policy === "penalty") setActiveSeq({ ...activeSeq, penalty: (activeSeq.penalty || 0) + (cfg.wrongPress?.penaltyMs ?? 0) });
+      else if (policy === "failure") completeSeqStep("Failure", rt, { pressed: index });
+      else if (policy === "abort") {
+        busRef.current?.post(draft.SEQ_STEP_RESULT({ lobby: cfg.code, from: clientId, name, cue: activeSeq.cue, step: activeSeq.at, index: expected, pressed: index, rt, grade: "Failure", ts: now }));
+        announceGrade("Failure");
+        finishSeq({ ...activeSeq, grades: [...activeSeq.grades, "Failure"], rts: [...activeSeq.rts, rt] }, true);
+        setActiveSeq(null);
+      }
+      return;
+    }
+    completeSeqStep(gradeWithLeniency(rt, t, cfg.leniencyMs || 0), rt);
+  };
+
+  const completeSeqStep = (grade, rt, extra = {}) => {
+    const now = Date.now(); const index = activeSeq.seq[activeSeq.at];
+    busRef.current?.post(draft.SEQ_STEP_RESULT({ lobby: cfg.code, from: clientId, name, cue: activeSeq.cue, step: activeSeq.at, index, rt, grade, ...extra, ts: now }));
+    announceGrade(grade, rt);
     const nextAt = activeSeq.at + 1;
+    const played = { ...activeSeq, grades: [...activeSeq.grades, grade], rts: [...activeSeq.rts, rt], penalty: 0 };
 
     // Hide highlight briefly, then advance or finish
     setShowSeqHighlight(false);
@@ -268,45 +2148,156 @@ export default function QTEApp() {
     seqGapTimer.current = window.setTimeout(() => {
       setShowSeqHighlight(true);
       if (!activeSeq) return;
-      if (nextAt >= activeSeq.seq.length) {
-        const totalMs = Date.now() - activeSeq.start;
-        busRef.current?.post({ type: "SEQ_DONE", lobby: cfg.code, from: clientId, name, totalMs, grades: [], ts: Date.now() });
+      if (nextAt >= played.seq.length) {
+        finishSeq(played);
         setActiveSeq(null); stepStartRef.current = null;
       } else {
-        setActiveSeq({ ...activeSeq, at: nextAt });
+        setActiveSeq({ ...played, at: nextAt });
         stepStartRef.current = Date.now();
       }
     }, Math.max(40, (cfg?.glowGapMs ?? 120)));
   };
 
+  // Player input: pointer (BigButtons), keyboard and gamepad all end up here, stamped at the moment of input
+  const playerPress = (i, at) => {
+    if (activeSeq) return onPlayerSeqClick(i, at);
+    onPlayerClick(i, at); setPlayerPressed(i); setTimeout(() => setPlayerPressed((p) => (p === i ? null : p)), Math.max(30, cfg?.hostFlashMs ?? 60));
+  };
+  const inputRef = useRef(null);
+  const [bindings, setBindings] = useState(loadBindings);
+  const [rebinding, setRebinding] = useState(null); // button index waiting for a key / pad button
+  useEffect(() => { saveBindings(bindings); inputRef.current?.setBindings(bindings); }, [bindings]);
+  // Keys and pad buttons act like a pointer: down starts a hold and taps, up ends a hold / release
+  const pressRef = useRef(null);
+  pressRef.current = {
+    down: (i, at) => { if (!cfg || i >= cfg.buttonCount) return; onPlayerPressStart(i, at); playerPress(i, at); },
+    up: (i, at) => { if (cfg && i < cfg.buttonCount) onPlayerPressEnd(i, at); },
+  };
+  useEffect(() => {
+    if (role !== "PLAYER") return;
+    const input = mkInput({ bindings, onDown: (i, at) => pressRef.current.down(i, at), onUp: (i, at) => pressRef.current.up(i, at) });
+    inputRef.current = input;
+    return () => { input.stop(); inputRef.current = null; setRebinding(null); };
+  }, [role]);
+  const startRebind = (index) => {
+    setRebinding(index);
+    inputRef.current?.capture((got) => { setRebinding(null); if (got) setBindings((b) => rebind(b, index, got)); });
+  };
+  const cancelRebind = () => { inputRef.current?.capture(null); setRebinding(null); };
+
+  // Player feedback: a sound + vibration when a button lights up, and per grade with an on-screen flash
+  const [feedbackSettings, setFeedbackSettings] = useState(loadFeedback);
+  useEffect(() => { saveFeedback(feedbackSettings); }, [feedbackSettings]);
+  const [gradeFlash, setGradeFlash] = useState(null); // {grade, key} | null
+  const announceGrade = (grade, rt = null) => {
+    feedback.grade(grade, feedbackSettings); setGradeFlash({ grade, key: Date.now() });
+    say(rt == null ? grade : `${grade}, ${Math.round(rt)} milliseconds`);
+  };
+  useEffect(() => {
+    if (!gradeFlash) return;
+    const id = window.setTimeout(() => setGradeFlash(null), GRADE_FLASH_MS);
+    return () => window.clearTimeout(id);
+  }, [gradeFlash]);
+  const litIndex = showSeqHighlight ? (activeCue?.index ?? (activeSeq ? activeSeq.seq[activeSeq.at] : null)) : null;
+  const litKey = litIndex == null ? null : `${activeCue?.cue ?? activeSeq.cue}:${activeSeq?.at ?? 0}`;
+  useEffect(() => {
+    if (role !== "PLAYER" || !litKey) return;
+    feedback.cue(litIndex, feedbackSettings);
+    say(cueAnnouncement(cfg?.names || [], litIndex, activeCue, activeSeq));
+  }, [litKey]);
+  useEffect(() => {
+    if (role !== "PLAYER") return;
+    const unlock = () => feedback.unlock();
+    window.addEventListener("pointerdown", unlock);
+    window.addEventListener("keydown", unlock);
+    return () => { window.removeEventListener("pointerdown", unlock); window.removeEventListener("keydown", unlock); };
+  }, [role]);
+
+  // Player: unanswered cues expire after thresholds.timeout (or the cue's own window) and report a Failure
+  useEffect(() => {
+    if (role !== "PLAYER" || !cfg || !activeCue) return;
+    const timeout = cueDeadlineMs(activeCue, cfg.thresholds);
+    const id = window.setTimeout(() => {
+      finishCue({ rt: timeout, grade: "Failure", timeout: true, ...(activeCue.kind === "mash" ? { presses: activeCue.presses, count: activeCue.count } : {}) });
+    }, Math.max(0, activeCue.start + timeout - hostNow()));
+    return () => window.clearTimeout(id);
+  }, [activeCue, role, cfg, clientId, name]);
+
+  useEffect(() => {
+    if (role !== "PLAYER" || !cfg || !activeSeq || !showSeqHighlight) return;
+    const timeout = cfg.thresholds.timeout;
+    const started = stepStartRef.current ?? Date.now();
+    const id = window.setTimeout(() => {
+      busRef.current?.post(draft.SEQ_STEP_RESULT({ lobby: cfg.code, from: clientId, name, cue: activeSeq.cue, step: activeSeq.at, index: activeSeq.seq[activeSeq.at], rt: timeout, grade: "Failure", timeout: true, ts: Date.now() }));
+      announceGrade("Failure");
+      finishSeq(activeSeq, true);
+      setActiveSeq(null);
+    }, Math.max(0, started + timeout - Date.now()));
+    return () => window.clearTimeout(id);
+  }, [activeSeq, showSeqHighlight, role, cfg, clientId, name]);
+
   const updateCount = (n) => setCfg((c) => (c ? { ...c, buttonCount: clamp(n, 2, 6), names: Array.from({ length: clamp(n, 2, 6) }, (_, i) => c.names[i] || `Button ${i + 1}`) } : c));
   const updateName = (i, v) => setCfg((c) => (c ? { ...c, names: c.names.map((n, idx) => (idx === i ? v : n)) } : c));
   const updateThreshold = (k, v) => setCfg((c) => (c ? { ...c, thresholds: { ...c.thresholds, [k]: Math.max(0, v) } } : c));
+  const updatePoints = (g, v) => setCfg((c) => (c ? { ...c, points: { ...DEFAULT_POINTS, ...c.points, [g]: v } } : c));
+  const updateAdaptive = (patch) => setCfg((c) => (c ? { ...c, adaptive: { ...DEFAULT_ADAPTIVE, ...c.adaptive, ...patch } } : c));
 
   const layout = useMemo(() => layoutFor(cfg?.buttonCount || 4), [cfg?.buttonCount]);
 
+  useAnimationFrame(role === "PLAYER" && !!activeCue && (activeCue.kind === "release" || (activeCue.kind === "hold" && activeCue.downAt != null)));
+
   // -------------------- Render --------------------
 
   if (!role) {
     return (
      <div className="min-h-screen flex items-center justify-center bg-slate-100">
         <div className="max-w-xl w-full p-6">
-          <motion.h1 initial={{ opacity: 0, y: -8 }} animate={{ opacity: 1, y: 0 }} className="text-3xl font-bold mb-4">
-            CH Quick Time
-          </motion.h1>
+          <div className="flex items-center justify-between mb-4">
+            <motion.h1 initial={{ opacity: 0, y: -8 }} animate={{ opacity: 1, y: 0 }} className="text-3xl font-bold">
+              CH Quick Time
+            </motion.h1>
+            <A11yMenu settings={a11y} onChange={setA11y}/>
+          </div>
           <Card>
             <CardHeader>
               <CardTitle>Start</CardTitle>
               <CardDescription>Host a temporary lobby or join one with a code.</CardDescription>
             </CardHeader>
             <CardContent className="space-y-4">
+              {startNotice && <div className="rounded-xl border border-red-300 bg-red-50 text-red-800 text-sm px-3 py-2">{startNotice}</div>}
               <div className="grid md:grid-cols-2 gap-4">
                 <div className="border rounded-2xl p-4">
                   <div className="font-medium mb-2">Host</div>
                   <div className="grid gap-2 mb-2">
                     <Label className="text-xs">Relay URL (optional)</Label>
                     <Input value={relayUrl} onChange={(e) => setRelayUrl(e.target.value)} placeholder="wss://your-relay.example/ws" className="mb-1"/>
+                    <P2pToggle checked={p2p} onChange={setP2p} disabled={!relayUrl}/>
+                    <Label className="text-xs">Preset</Label>
+                    <Select value={preset?.id || ""} onValueChange={setPresetId}>
+                      <SelectItem value="">(defaults)</SelectItem>
+                      {presets.map((p) => (<SelectItem key={p.id} value={p.id}>{p.name}</SelectItem>))}
+                    </Select>
+                    {presetNotice && <div className="text-xs text-slate-600">{presetNotice}</div>}
                   </div>
+                  {linkedPreset && (
+                    <div className="rounded-xl border border-sky-300 bg-sky-50 p-3 mb-2 text-sm">
+                      <div className="mb-2">The link carries the preset <strong>{linkedPreset.name}</strong>.</div>
+                      <div className="flex flex-wrap gap-2">
+                        <Button size="sm" onClick={() => acceptLinkedPreset(true)}>Use for next lobby</Button>
+                        <Button size="sm" variant="outline" onClick={() => acceptLinkedPreset(false)}>Just save it</Button>
+                        <Button size="sm" variant="ghost" onClick={() => setLinkedPreset(null)}>Ignore</Button>
+                      </div>
+                    </div>
+                  )}
+                  {savedHost && (
+                    <div className="rounded-xl border border-amber-300 bg-amber-50 p-3 mb-2 text-sm">
+                      <div className="mb-2">Lobby <strong className="tracking-widest">{savedHost.code}</strong> was still open ({Object.keys(savedHost.players || {}).length} players, saved {new Date(savedHost.savedAt).toLocaleTimeString()}).</div>
+                      <div className="flex gap-2">
+                        <Button size="sm" onClick={resumeLobby}>Resume lobby</Button>
+                        <Button size="sm" variant="ghost" onClick={discardSavedHost}>Discard</Button>
+                      </div>
+                    </div>
+                  )}
                   <Button className="w-full h-12 text-lg" onClick={createLobby}>
                     <Play className="mr-2 h-5 w-5"/>Create lobby
                   </Button>
@@ -314,14 +2305,18 @@ export default function QTEApp() {
                 <div className="border rounded-2xl p-4">
                   <div className="font-medium mb-2">Player</div>
                   <Label className="text-xs">Your name</Label>
-                  <Input value={name} onChange={(e) => setName(e.target.value)} className="mb-2" />
+                  <Input value={name} maxLength={NAME_MAX} onChange={(e) => setName(e.target.value)} className="mb-2" />
                   <Label className="text-xs">Lobby code</Label>
                   <Input value={code} onChange={(e) => setCode(e.target.value.toUpperCase())} className="uppercase tracking-widest mb-2" />
                   <Label className="text-xs">Relay URL (optional)</Label>
-                  <Input value={relayUrl} onChange={(e) => setRelayUrl(e.target.value)} placeholder="wss://your-relay.example/ws" className="mb-2"/>
+                  <Input value={relayUrl} onChange={(e) => setRelayUrl(e.target.value)} placeholder="wss://your-relay.example/ws" className="mb-1"/>
+                  <div className="mb-2"><P2pToggle checked={p2p} onChange={setP2p} disabled={!relayUrl}/></div>
                   <Button className="w-full h-12 text-lg" disabled={!name.trim() || code.length < 3} onClick={joinLobby}>
                     <Users className="mr-2 h-5 w-5"/>Join lobby
                   </Button>
+                  <Button variant="outline" className="w-full mt-2" disabled={code.length < 3} onClick={watchLobby}>
+                    Watch as spectator
+                  </Button>
                 </div>
               </div>
             </CardContent>
@@ -339,22 +2334,29 @@ export default function QTEApp() {
               <div className="text-sm text-slate-500">Lobby code</div>
               <div className="text-2xl font-bold tracking-widest">{cfg.code}</div>
             </div>
-            <div className="flex gap-2">
-              <Button variant="outline" onClick={() => setRole(null)}>Exit</Button>
+            <div className="flex items-center gap-2">
+              <A11yMenu settings={a11y} onChange={setA11y}/>
+              <Button variant="outline" onClick={endLobby}>Exit</Button>
             </div>
           </div>
+          <div aria-live="polite" className="sr-only">{log[0]?.grade ? log[0].line : ""}</div>
 
           {/* Connection status */}
           <div className="mb-3 text-xs text-slate-600 flex items-center gap-3">
             <span className={`inline-flex items-center gap-1 ${net.state === 'open' ? 'text-green-700' : 'text-red-700'}`}>
               <span className={`w-2 h-2 rounded-full ${net.state === 'open' ? 'bg-green-500' : 'bg-red-500'}`}></span>
-              {net.transport || 'no-transport'} {net.state || ''}
+              {net.transport || 'no-transport'} {net.state || ''}{net.reason ? ` (${net.reason})` : ''}
             </span>
+            {net.occupancy && <span>{net.occupancy.peers} connected</span>}
+            {net.rtcPeers != null && <span>peer-to-peer: {net.rtcPeers} player{net.rtcPeers === 1 ? "" : "s"}</span>}
+            {net.pending > 0 && <span className="text-amber-700">{net.pending} pending</span>}
+            {net.transport === 'ws' && <span className={net.host === 'ok' ? 'text-green-700' : 'text-red-700'}>host role: {net.host === 'ok' ? 'verified' : net.host === 'denied' ? 'denied' : 'pending'}</span>}
             {relayUrl ? <span>relay: <code className="px-1 bg-slate-100 rounded">{relayUrl}</code></span> : <span>relay: (none)</span>}
             <span>room: <code className="px-1 bg-slate-100 rounded">caveman-qte-{cfg.code}</code></span>
-            <Button size="sm" variant="outline" className="ml-auto" onClick={() => busRef.current?.post({ type: 'NET_PING', lobby: cfg.code, from: clientId, name, ts: Date.now() })}>Ping relay</Button>
-            <Button size="sm" className="" variant="secondary" onClick={() => busRef.current?.post({ type: 'CONFIG', lobby: cfg.code, config: cfg })}>Re-send config</Button>
+            <Button size="sm" variant="outline" className="ml-auto" onClick={() => busRef.current?.post(draft.NET_PING({ lobby: cfg.code, from: clientId, name, ts: Date.now() }))}>Ping relay</Button>
+            <Button size="sm" className="" variant="secondary" onClick={broadcastConfig}>Re-send config</Button>
           </div>
+          {net.notice && <div role="alert" className="mb-3 rounded-lg border border-amber-300 bg-amber-50 px-3 py-2 text-sm text-amber-800">{net.notice}</div>}
               <div className="text-2xl font-bold tracking-widest">{cfg.code}</div>
             </div>
             <div className="flex gap-2">
@@ -371,6 +2373,21 @@ export default function QTEApp() {
                 <CardDescription>Buttons & thresholds</CardDescription>
               </CardHeader>
               <CardContent className="space-y-4">
+                <PresetBar
+                  presets={presets}
+                  preset={preset}
+                  onChoose={setPresetId}
+                  onLoad={loadPreset}
+                  onOverwrite={overwritePreset}
+                  onSaveAs={savePresetAs}
+                  onDuplicate={duplicatePreset}
+                  onDelete={deletePreset}
+                  onExport={exportPreset}
+                  onImport={importPreset}
+                  onCopyLink={copyPresetLink}
+                  notice={presetNotice}
+                />
+
                 <div className="grid grid-cols-3 gap-2 items-end">
                   <div className="col-span-2">
                     <Label>Number of buttons (2–6)</Label>
@@ -410,6 +2427,20 @@ export default function QTEApp() {
                     ))}
                   </div>
 
+                  {/* Roster presence */}
+                  <div className="grid grid-cols-2 gap-3 mt-4">
+                    <div className="grid grid-cols-[auto_1fr,auto] items-center gap-3">
+                      <Label className="text-sm whitespace-nowrap">Stale after</Label>
+                      <Input type="number" min={1} value={Math.round((cfg.presence?.staleMs ?? DEFAULT_PRESENCE.staleMs) / 1000)} onChange={(e)=> setCfg(c => c ? { ...c, presence: { ...DEFAULT_PRESENCE, ...c.presence, staleMs: Math.max(1, Number(e.target.value||0)) * 1000 } } : c)} className="h-12 text-lg px-4 text-right"/>
+                      <div className="text-sm text-slate-500">s</div>
+                    </div>
+                    <div className="grid grid-cols-[auto_1fr,auto] items-center gap-3">
+                      <Label className="text-sm whitespace-nowrap">Remove after</Label>
+                      <Input type="number" min={1} value={Math.round((cfg.presence?.removeMs ?? DEFAULT_PRESENCE.removeMs) / 1000)} onChange={(e)=> setCfg(c => c ? { ...c, presence: { ...DEFAULT_PRESENCE, ...c.presence, removeMs: Math.max(1, Number(e.target.value||0)) * 1000 } } : c)} className="h-12 text-lg px-4 text-right"/>
+                      <div className="text-sm text-slate-500">s</div>
+                    </div>
+                  </div>
+
                   {/* Feedback settings */}
                   <div className="grid grid-cols-2 gap-3 mt-4">
                     <div className="grid grid-cols-[auto_1fr,auto] items-center gap-3">
@@ -425,47 +2456,197 @@ export default function QTEApp() {
                   </div>
                 </div>
 
-                <div className="grid grid-cols-1 gap-4">
-                  <Label className="text-sm">Sequence leniency (ms)</Label>
-                  <Input type="number" min={0} value={cfg.leniencyMs ?? 0} onChange={(e)=> setCfg(c => c ? { ...c, leniencyMs: Math.max(0, Number(e.target.value||0)) } : c)} className="h-14 text-xl px-5 w-48"/>
+                <div className="grid grid-cols-1 gap-4">
+                  <Label className="text-sm">Sequence leniency (ms)</Label>
+                  <Input type="number" min={0} value={cfg.leniencyMs ?? 0} onChange={(e)=> setCfg(c => c ? { ...c, leniencyMs: Math.max(0, Number(e.target.value||0)) } : c)} className="h-14 text-xl px-5 w-48"/>
+                </div>
+
+                <div className="grid grid-cols-[auto_1fr_auto] items-end gap-3">
+                  <div className="grid gap-1">
+                    <Label className="text-sm">Sequence verdict</Label>
+                    <Select value={cfg.seqVerdict?.rule || "worst"} onValueChange={(v) => setCfg((c) => (c ? { ...c, seqVerdict: { misses: 1, ...c.seqVerdict, rule: v } } : c))}>
+                      <SelectItem value="worst">Worst step</SelectItem>
+                      <SelectItem value="average">Average of steps</SelectItem>
+                      <SelectItem value="misses">At most N misses</SelectItem>
+                    </Select>
+                  </div>
+                  {cfg.seqVerdict?.rule === "misses" ? (
+                    <div className="grid gap-1">
+                      <Label className="text-sm">Misses allowed (N)</Label>
+                      <Input type="number" min={0} value={cfg.seqVerdict.misses ?? 1} onChange={(e) => setCfg((c) => (c ? { ...c, seqVerdict: { ...c.seqVerdict, misses: Math.max(0, Number(e.target.value || 0)) } } : c))} className="h-12 text-lg px-4 w-32"/>
+                    </div>
+                  ) : <div/>}
+                </div>
+
+                <div className="grid grid-cols-[auto_1fr_auto] items-end gap-3">
+                  <div className="grid gap-1">
+                    <Label className="text-sm">Wrong button</Label>
+                    <Select value={cfg.wrongPress?.policy || "ignore"} onValueChange={(v) => setCfg((c) => (c ? { ...c, wrongPress: { penaltyMs: 150, ...c.wrongPress, policy: v } } : c))}>
+                      <SelectItem value="ignore">Ignore (report only)</SelectItem>
+                      <SelectItem value="failure">Count as Failure</SelectItem>
+                      <SelectItem value="penalty">Add time penalty</SelectItem>
+                      <SelectItem value="abort">Abort sequence</SelectItem>
+                    </Select>
+                  </div>
+                  {cfg.wrongPress?.policy === "penalty" ? (
+                    <div className="grid gap-1">
+                      <Label className="text-sm">Penalty (ms)</Label>
+                      <Input type="number" min={0} value={cfg.wrongPress.penaltyMs ?? 150} onChange={(e) => setCfg((c) => (c ? { ...c, wrongPress: { ...c.wrongPress, penaltyMs: Math.max(0, Number(e.target.value || 0)) } } : c))} className="h-12 text-lg px-4 w-32"/>
+                    </div>
+                  ) : <div/>}
+                </div>
+
+                <div className="pt-2">
+                  <div className="font-medium mb-2">Points per grade</div>
+                  <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                    {GRADES.map((g) => (
+                      <div key={g} className="grid gap-1">
+                        <span className={`px-2 py-0.5 rounded-md text-xs font-semibold text-center ${gradeColor(g, a11y)}`}>{gradeText(g, a11y)}</span>
+                        <Input type="number" value={cfg.points?.[g] ?? DEFAULT_POINTS[g]} onChange={(e) => updatePoints(g, Number(e.target.value || 0))} className="h-12 text-lg px-4 text-right tabular-nums"/>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="pt-2">
+                  <label className="flex items-center gap-2 font-medium mb-2">
+                    <input type="checkbox" checked={!!cfg.adaptive?.enabled} onChange={(e) => updateAdaptive({ enabled: e.target.checked })}/>
+                    Adaptive difficulty
+                  </label>
+                  {cfg.adaptive?.enabled && (
+                    <>
+                      <div className="grid grid-cols-3 gap-3">
+                        <div className="grid gap-1">
+                          <Label className="text-sm">Hardest (%)</Label>
+                          <Input type="number" min={10} max={100} step={5} value={Math.round((cfg.adaptive.minScale ?? DEFAULT_ADAPTIVE.minScale) * 100)} onChange={(e) => updateAdaptive({ minScale: clamp(Number(e.target.value || 0) / 100, 0.1, 1) })} className="h-12 text-lg px-4 text-right tabular-nums"/>
+                        </div>
+                        <div className="grid gap-1">
+                          <Label className="text-sm">Easiest (%)</Label>
+                          <Input type="number" min={100} max={500} step={5} value={Math.round((cfg.adaptive.maxScale ?? DEFAULT_ADAPTIVE.maxScale) * 100)} onChange={(e) => updateAdaptive({ maxScale: clamp(Number(e.target.value || 0) / 100, 1, 5) })} className="h-12 text-lg px-4 text-right tabular-nums"/>
+                        </div>
+                        <div className="grid gap-1">
+                          <Label className="text-sm">Recent reactions</Label>
+                          <Input type="number" min={ADAPTIVE_MIN_SAMPLES} max={ADAPTIVE_KEEP} value={cfg.adaptive.window ?? DEFAULT_ADAPTIVE.window} onChange={(e) => updateAdaptive({ window: clamp(Number(e.target.value || 0), ADAPTIVE_MIN_SAMPLES, ADAPTIVE_KEEP) })} className="h-12 text-lg px-4 text-right tabular-nums"/>
+                        </div>
+                      </div>
+                      <div className="text-xs text-slate-500 mt-2">After {ADAPTIVE_MIN_SAMPLES} results, each player's thresholds scale (as % of the lobby's) so their median reaction lands on Success. Shown as perfect / success / close / slow.</div>
+                      <div className="grid gap-1 mt-2">
+                        {Object.entries(players).map(([id, p]) => {
+                          const eff = cfg.playerThresholds?.[id]; const locked = !!tuning[id]?.locked;
+                          return (
+                            <div key={id} className="flex flex-wrap items-center gap-2 text-sm">
+                              <span className="font-medium w-28 truncate">{p.name}</span>
+                              <span className="tabular-nums text-slate-600">{eff ? `${ADAPTIVE_KEYS.map((k) => eff[k]).join(" / ")} ms` : "lobby thresholds"}</span>
+                              {locked && <Badge>locked</Badge>}
+                              <Button size="sm" variant="ghost" className="ml-auto" onClick={() => toggleTuningLock(id)}>{locked ? "Unlock" : "Lock"}</Button>
+                              <Button size="sm" variant="ghost" onClick={() => resetTuning(id)}>Reset</Button>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    </>
+                  )}
                 </div>
 
                 {buildingSeq && (
                   <div className="border rounded-xl p-3">
                     <div className="text-sm mb-2">Sequence: {buildingSeq.length === 0 ? <em>click buttons to add</em> : buildingSeq.map((i) => cfg.names[i]).join(" → ")}</div>
                     <div className="grid grid-cols-1 gap-2">
-                      <Label className="text-xs">Send to player</Label>
-                      <Select value={targetPlayer || undefined} onValueChange={(v) => setTargetPlayer(v)}>
-                        <SelectTrigger><SelectValue placeholder="Choose a player"/></SelectTrigger>
-                        <SelectContent>
-                          {Object.entries(players).map(([id, p]) => (
-                            <SelectItem key={id} value={id}>{p.name}</SelectItem>
-                          ))}
-                        </SelectContent>
-                      </Select>
-                      <Button disabled={!targetPlayer || buildingSeq.length === 0} onClick={() => targetPlayer && sendSequenceTo(targetPlayer)} className="h-12 text-base">
+                      <Label className="text-xs">Send to</Label>
+                      <TargetSelect value={cueTarget} onChange={setCueTarget} players={players} groups={groups}/>
+                      <Button disabled={target.ids.length === 0 || buildingSeq.length === 0} onClick={sendSequence} className="h-12 text-base">
                         <Send className="h-4 w-4 mr-2"/>Send Sequence
                       </Button>
                     </div>
                   </div>
                 )}
 
+                <div className="pt-2">
+                  <div className="text-sm text-slate-500 mb-1">Groups</div>
+                  <div className="grid gap-2">
+                    {Object.entries(groups).map(([id, g]) => (
+                      <div key={id} className="border rounded-xl p-2 flex flex-wrap items-center gap-2">
+                        <span className="font-medium mr-1">{g.name}</span>
+                        {Object.entries(players).map(([pid, p]) => (
+                          <button key={pid} onClick={() => toggleMember(id, pid)} className={`rounded-full border px-2 py-1 text-xs ${g.members.includes(pid) ? "bg-slate-800 text-white border-slate-800" : "text-slate-500"}`}>{p.name}</button>
+                        ))}
+                        <Button size="sm" variant="ghost" className="ml-auto" onClick={() => removeGroup(id)}><Trash2 className="h-4 w-4"/></Button>
+                      </div>
+                    ))}
+                    <div className="grid grid-cols-[1fr_auto] gap-2">
+                      <Input value={newGroupName} onChange={(e) => setNewGroupName(e.target.value)} onKeyDown={(e) => e.key === "Enter" && addGroup()} placeholder="New group, e.g. Party A"/>
+                      <Button variant="secondary" onClick={addGroup} disabled={!newGroupName.trim()}>Add group</Button>
+                    </div>
+                  </div>
+                </div>
+
                 <div className="pt-2">
                   <div className="text-sm text-slate-500 mb-1">Players in lobby</div>
                   <div className="flex flex-wrap gap-2">
-                    {Object.values(players).length === 0 ? <Badge variant="secondary">No players yet</Badge> : Object.values(players).map((p, i) => (<Badge key={i}>{p.name}</Badge>))}
+                    {Object.values(players).length === 0 ? <Badge variant="secondary">No players yet</Badge> : Object.entries(players).map(([id, p]) => {
+                      const status = presenceOf(p, presenceNow, cfg.presence);
+                      return (
+                        <Badge key={id} onClick={() => { setMenuFor((m) => (m === id ? null : id)); setRenameDraft(p.name); }} className={`cursor-pointer ${menuFor === id ? "ring-2 ring-slate-500" : ""} ${status === "online" ? "" : "opacity-60"}`} title={`${status}, last seen ${ago(presenceNow - p.lastSeen)}${p.clock ? ` · clock offset ${p.clock.offset}ms, rtt ${p.clock.rtt}ms, jitter ${p.clock.jitter}ms` : " · clock not synced yet"}`}>
+                          <span className={`mr-1 w-2 h-2 rounded-full ${PRESENCE_DOT[status]}`}></span>
+                          {p.name}{p.clock && <span className="ml-1 tabular-nums opacity-70">{p.clock.offset >= 0 ? "+" : ""}{p.clock.offset}ms ±{p.clock.jitter}</span>}
+                          {status !== "online" && <span className="ml-1 opacity-70">{status} · {ago(presenceNow - (p.leftAt || p.lastSeen))}</span>}
+                        </Badge>
+                      );
+                    })}
                   </div>
+                  {menuFor && players[menuFor] && (
+                    <div className="mt-2 border rounded-xl p-2 grid grid-cols-[1fr_auto_auto_auto] gap-2 items-center">
+                      <Input value={renameDraft} maxLength={NAME_MAX} onChange={(e) => setRenameDraft(e.target.value)} onKeyDown={(e) => e.key === "Enter" && renamePlayer(menuFor, renameDraft)} placeholder="New name"/>
+                      <Button variant="secondary" onClick={() => renamePlayer(menuFor, renameDraft)} disabled={!renameDraft.trim()}>Rename</Button>
+                      <Button variant="outline" onClick={() => removePlayer(menuFor, false)}>Kick</Button>
+                      <Button variant="destructive" onClick={() => removePlayer(menuFor, true)}>Ban</Button>
+                    </div>
+                  )}
+                  {bannedCount > 0 && <div className="mt-1 text-xs text-slate-500">{bannedCount} banned this session</div>}
                 </div>
               </CardContent>
             </Card>
 
-            {/* Middle: Big Buttons (host triggers single QTE to all) */}
+            {/* Middle: Big Buttons (host triggers cues to the chosen target) */}
             <Card className="lg:col-span-2">
               <CardHeader>
                 <CardTitle>Send QTE</CardTitle>
-                <CardDescription>Tap a button to cue all players. In Sequence mode, taps build the sequence instead.</CardDescription>
+                <CardDescription>Tap a button to cue the chosen target. In Sequence mode, taps build the sequence instead.</CardDescription>
               </CardHeader>
-              <CardContent>
+              <CardContent className="space-y-4">
+                <div className="grid grid-cols-[auto_1fr] items-center gap-3">
+                  <Label className="text-sm whitespace-nowrap">Cue target</Label>
+                  <TargetSelect value={cueTarget} onChange={setCueTarget} players={players} groups={groups}/>
+                </div>
+                <div className="grid gap-2">
+                  <div className="flex gap-2">
+                    {[["single", "Tap"], ["hold", "Hold"], ["mash", "Mash"], ["release", "Release"]].map(([k, label]) => (
+                      <Button key={k} size="sm" variant={cueMode.kind === k ? "primary" : "outline"} onClick={() => setCueMode((m) => ({ ...m, kind: k }))} disabled={!!buildingSeq && k !== "single"}>{label}</Button>
+                    ))}
+                  </div>
+                  {cueMode.kind === "hold" && (
+                    <div className="grid grid-cols-[auto_1fr] items-center gap-3">
+                      <Label className="text-sm whitespace-nowrap">Hold for (ms)</Label>
+                      <Input type="number" min={100} value={cueMode.holdMs} onChange={(e) => setCueMode((m) => ({ ...m, holdMs: Math.max(100, Number(e.target.value || 0)) }))} className="h-10 w-32"/>
+                    </div>
+                  )}
+                  {cueMode.kind === "mash" && (
+                    <div className="grid grid-cols-[auto_1fr_auto_1fr] items-center gap-3">
+                      <Label className="text-sm whitespace-nowrap">Presses</Label>
+                      <Input type="number" min={2} value={cueMode.count} onChange={(e) => setCueMode((m) => ({ ...m, count: Math.max(2, Number(e.target.value || 0)) }))} className="h-10"/>
+                      <Label className="text-sm whitespace-nowrap">within (ms)</Label>
+                      <Input type="number" min={200} value={cueMode.windowMs} onChange={(e) => setCueMode((m) => ({ ...m, windowMs: Math.max(200, Number(e.target.value || 0)) }))} className="h-10"/>
+                    </div>
+                  )}
+                  {cueMode.kind === "release" && (
+                    <div className="grid grid-cols-[auto_1fr_auto_1fr] items-center gap-3">
+                      <Label className="text-sm whitespace-nowrap">Opens at (ms)</Label>
+                      <Input type="number" min={0} value={cueMode.openMs} onChange={(e) => setCueMode((m) => ({ ...m, openMs: Math.max(0, Number(e.target.value || 0)) }))} className="h-10"/>
+                      <Label className="text-sm whitespace-nowrap">window (ms)</Label>
+                      <Input type="number" min={50} value={cueMode.releaseWindowMs} onChange={(e) => setCueMode((m) => ({ ...m, releaseWindowMs: Math.max(50, Number(e.target.value || 0)) }))} className="h-10"/>
+                    </div>
+                  )}
+                </div>
                 <BigButtons
                   count={cfg.buttonCount}
                   names={cfg.names}
@@ -475,7 +2656,7 @@ export default function QTEApp() {
                     setHostPressed(i);
                     setTimeout(() => setHostPressed((p) => (p === i ? null : p)), Math.max(30, cfg.hostFlashMs ?? 60));
                     if (buildingSeq) { addSeqButton(i); return; }
-                    sendSingleQTE(i);
+                    sendCue(i);
                   }}
                   activeIndex={null}
                   pressedIndex={hostPressed}
@@ -483,6 +2664,69 @@ export default function QTEApp() {
               </CardContent>
             </Card>
 
+            {/* Encounter scripts (full width) */}
+            <div className="lg:col-span-4">
+              <EncounterPanel
+                scripts={encounters}
+                script={encounter}
+                onSelect={setEncounterId}
+                onChange={updateEncounter}
+                onNew={() => addEncounter()}
+                onDelete={deleteEncounter}
+                onExport={exportEncounter}
+                onImport={importEncounter}
+                error={encounterError}
+                names={cfg.names}
+                players={players}
+                groups={groups}
+                runner={runner}
+                elapsedMs={runnerTenths * 100}
+                onRun={runEncounter}
+                onPause={pauseEncounter}
+                onResume={resumeEncounter}
+                onAbort={abortEncounter}
+              />
+            </div>
+
+            {/* Scoreboard (full width) */}
+            <div className="lg:col-span-4">
+              <Scoreboard
+                a11y={a11y}
+                stats={review ? review.stats : stats}
+                names={review ? review.config.names : cfg.names}
+                points={review ? review.config.points : cfg.points}
+                onReset={review ? null : resetResults}
+                notice={importError ? <span className="text-red-700">{importError}</span>
+                  : review ? <span>Reviewing <strong>{review.fileName}</strong> (lobby {review.config.code}, {review.results.length} results) <Button size="sm" variant="ghost" onClick={() => setReview(null)}>Back to live</Button></span>
+                  : null}
+                actions={<>
+                  <Button size="sm" variant="outline" onClick={exportCsv} disabled={results.length === 0}><Download className="h-4 w-4 mr-1"/>CSV</Button>
+                  <Button size="sm" variant="outline" onClick={exportJson}><Download className="h-4 w-4 mr-1"/>JSON</Button>
+                  <Button size="sm" variant="outline" onClick={() => importInputRef.current?.click()}><Upload className="h-4 w-4 mr-1"/>Load</Button>
+                  <input ref={importInputRef} type="file" accept="application/json,.json" className="hidden" onChange={(e) => { importSession(e.target.files?.[0]); e.target.value = ""; }}/>
+                </>}
+              />
+            </div>
+
+            {/* Recording and replay (full width) */}
+            <Card className="lg:col-span-4">
+              <CardHeader>
+                <CardTitle>Session recording</CardTitle>
+                <CardDescription>Every cue, press, result and config change of this lobby, for replay.</CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <span className="text-slate-600 mr-2">{recordedCount} events recorded</span>
+                  <Button size="sm" variant="outline" onClick={replayLive} disabled={recordedCount === 0}><Play className="h-4 w-4 mr-1"/>Replay</Button>
+                  <Button size="sm" variant="outline" onClick={exportRecording} disabled={recordedCount === 0}><Download className="h-4 w-4 mr-1"/>Save</Button>
+                  <Button size="sm" variant="outline" onClick={() => replayInputRef.current?.click()}><Upload className="h-4 w-4 mr-1"/>Load</Button>
+                  <input ref={replayInputRef} type="file" accept="application/json,.json" className="hidden" onChange={(e) => { importRecording(e.target.files?.[0]); e.target.value = ""; }}/>
+                  {replayError && <span className="text-red-700">{replayError}</span>}
+                </div>
+                {replay && <ReplayViewer key={`${replay.code}-${replay.startedAt}-${replay.events.length}`} recording={replay} a11y={a11y} onClose={() => setReplay(null)}/>}
+              </CardContent>
+            </Card>
+
             {/* Log (full width below) */}
             <Card className="lg:col-span-4">
               <CardHeader>
@@ -498,7 +2742,9 @@ export default function QTEApp() {
                       log.map((entry, i) => (
                         <div key={i} className="text-sm font-mono flex items-center gap-2">
                           {entry.grade ? (
-                            <span className={`px-2 py-0.5 rounded-md text-xs font-semibold ${gradeColor(entry.grade)}`}>{entry.grade}</span>
+                            <span className={`px-2 py-0.5 rounded-md text-xs font-semibold ${gradeColor(entry.grade, a11y)}`}>{gradeText(entry.grade, a11y)}</span>
+                          ) : entry.tag ? (
+                            <span className="px-2 py-0.5 rounded-md text-xs font-semibold bg-rose-200 text-rose-900">{entry.tag}</span>
                           ) : (
                             <span className="px-2 py-0.5 rounded-md text-xs bg-slate-200 text-slate-800">Info</span>
                           )}
@@ -527,19 +2773,28 @@ export default function QTEApp() {
         <div className="max-w-4xl mx-auto p-4 md:p-6">
           <div className="flex items-center justify-between mb-3">
             <div className="text-sm text-slate-400">Lobby {code}</div>
-            <div className="text-sm">You: <span className="font-semibold">{name}</span></div>
-            <Button variant="outline" onClick={() => setRole(null)}>Exit</Button>
+            <div className="text-sm">You: <span className="font-semibold">{assignedName || name}</span></div>
+            <div className="flex items-center gap-2">
+              <A11yMenu settings={a11y} onChange={setA11y} dark/>
+              <Button variant="outline" onClick={leaveLobby}>Exit</Button>
+            </div>
           </div>
+          <div aria-live="assertive" aria-atomic="true" className="sr-only"><span key={live.n}>{live.text}</span></div>
 
           {/* Connection status */}
           <div className="mb-3 text-[11px] text-slate-400 flex items-center gap-3">
             <span className={`inline-flex items-center gap-1 ${net.state === 'open' ? 'text-green-300' : 'text-red-300'}`}>
               <span className={`w-2 h-2 rounded-full ${net.state === 'open' ? 'bg-green-400' : 'bg-red-400'}`}></span>
-              {net.transport || 'no-transport'} {net.state || ''}
+              {net.transport || 'no-transport'} {net.state || ''}{net.reason ? ` (${net.reason})` : ''}
             </span>
             {relayUrl ? <span>relay: <code className="px-1 bg-slate-800/60 rounded">{relayUrl}</code></span> : <span>relay: (none)</span>}
             <span>room: <code className="px-1 bg-slate-800/60 rounded">caveman-qte-{code}</code></span>
+            {net.occupancy && <span>{net.occupancy.peers} connected{net.occupancy.hasHost ? "" : " · no host yet"}</span>}
+            {net.transport === 'ws' && net.fallback && <span>relay fallback: {net.fallback}</span>}
+            {net.pending > 0 && <span className="text-amber-300">{net.pending} pending</span>}
+            <span className="tabular-nums">clock: {clock.offset >= 0 ? "+" : ""}{clock.offset}ms ±{clock.jitter} (rtt {clock.rtt}ms)</span>
           </div>
+          {net.notice && <div role="alert" className="mb-3 rounded-lg border border-amber-500/60 bg-amber-500/10 px-3 py-2 text-sm text-amber-200">{net.notice}</div>}
             <div className="text-sm">You: <span className="font-semibold">{name}</span></div>
             <Button variant="outline" onClick={() => setRole(null)}>Exit</Button>
           </div>
@@ -551,12 +2806,41 @@ export default function QTEApp() {
               count={cfg.buttonCount}
               names={cfg.names}
               layout={layoutFor(cfg.buttonCount)}
-              onPress={(i) => { if (activeSeq) return onPlayerSeqClick(i); onPlayerClick(i); setPlayerPressed(i); setTimeout(() => setPlayerPressed((p)=> p===i? null : p), Math.max(30, cfg?.hostFlashMs ?? 60)); }}
-              activeIndex={showSeqHighlight ? (activeCue?.index ?? (activeSeq ? activeSeq.seq[activeSeq.at] : null)) : null}
+              onPress={playerPress}
+              onPressStart={onPlayerPressStart}
+              onPressEnd={onPlayerPressEnd}
+              activeIndex={litIndex}
+              activeVisual={cueVisual(activeCue, hostNow(), cfg.thresholds)}
+              a11y={a11y}
               playerMode
               pressedIndex={playerPressed}
             />
           )}
+          {gradeFlash && (
+            <motion.div key={gradeFlash.key} initial={(a11y.enabled && a11y.reducedMotion) || prefersReducedMotion() ? false : { opacity: 0, scale: 0.8 }} animate={{ opacity: 1, scale: 1 }} className="pointer-events-none fixed inset-x-0 top-1/3 z-50 flex justify-center">
+              <div aria-hidden="true" className={`px-10 py-5 rounded-2xl text-4xl font-bold shadow-xl ${gradeColor(gradeFlash.grade, a11y)}`}>{gradeText(gradeFlash.grade, a11y)}</div>
+            </motion.div>
+          )}
+          {cfg && (
+            <SoundSettings
+              names={cfg.names}
+              count={cfg.buttonCount}
+              settings={feedbackSettings}
+              onChange={setFeedbackSettings}
+              onTest={(i) => { feedback.unlock(); feedback.cue(i, feedbackSettings); }}
+            />
+          )}
+          {cfg && (
+            <InputSettings
+              names={cfg.names}
+              count={cfg.buttonCount}
+              bindings={bindings}
+              rebinding={rebinding}
+              onRebind={startRebind}
+              onCancel={cancelRebind}
+              onReset={() => setBindings(DEFAULT_BINDINGS)}
+            />
+          )}
 
           <div className="mt-6 opacity-80">
             <TestRunner />
@@ -566,39 +2850,627 @@ export default function QTEApp() {
     );
   }
 
+  // SPECTATOR VIEW (big screen)
+  if (role === "SPECTATOR") {
+    return (
+      <div className="min-h-screen bg-slate-950 text-white">
+        <div className="max-w-7xl mx-auto p-4 md:p-8">
+          <div className="flex items-center justify-between mb-6">
+            <div className="flex items-center gap-4">
+              <div className="text-4xl font-bold tracking-widest">{code}</div>
+              <Badge variant="secondary">Spectating</Badge>
+              <span className={`inline-flex items-center gap-1 text-sm ${net.state === 'open' ? 'text-green-300' : 'text-red-300'}`}>
+                <span className={`w-2 h-2 rounded-full ${net.state === 'open' ? 'bg-green-400' : 'bg-red-400'}`}></span>
+                {net.transport || 'no-transport'} {net.state || ''}
+              </span>
+            </div>
+            <div className="flex items-center gap-2">
+              <A11yMenu settings={a11y} onChange={setA11y} dark/>
+              <Button variant="outline" onClick={() => setRole(null)}>Exit</Button>
+            </div>
+          </div>
+          {net.notice && <div role="alert" className="mb-4 rounded-lg border border-amber-500/60 bg-amber-500/10 px-3 py-2 text-amber-200">{net.notice}</div>}
+          {!cfg ? (
+            <div className="text-2xl text-slate-400">Waiting for host…</div>
+          ) : (
+            <SpectatorBoard state={spectate} cfg={cfg} a11y={a11y}/>
+          )}
+          <div className="mt-8 opacity-60">
+            <TestRunner />
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return null;
 }
 
+// -------------------- Spectator board --------------------
+
+function SpectatorBoard({ state, cfg, a11y }) {
+  const { names, live, seqs, feed, stats } = state;
+  const button = (i) => cfg.names[i] || `Button ${i + 1}`;
+  const who = (id) => names[id] || id;
+  const targets = (to) => (to == null ? "everyone" : [].concat(to).map(who).join(", "));
+  const rows = leaderboard(stats, names, cfg.points);
+  return (
+    <div className="grid lg:grid-cols-3 gap-6">
+      <div className="lg:col-span-2 space-y-6">
+        <div className="rounded-3xl bg-slate-900 p-8 min-h-[14rem]">
+          <div className="text-sm uppercase tracking-wider text-slate-400 mb-2">Live cue</div>
+          {!live ? (
+            <div className="text-3xl text-slate-500">No cue yet</div>
+          ) : (
+            <>
+              <div className="text-6xl font-bold mb-2">{live.seq ? live.seq.map(button).join(" → ") : button(live.index)}</div>
+              <div className="text-xl text-slate-300 mb-4">{live.kind === "seq" ? "sequence" : live.kind} · to {targets(live.to)}</div>
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(live.results).map(([id, g]) => (
+                  <span key={id} className={`px-3 py-1 rounded-xl text-lg ${gradeColor(g, a11y)}`}>{who(id)}: {gradeText(g, a11y)}</span>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+        {seqs.length > 0 && (
+          <div className="rounded-3xl bg-slate-900 p-6">
+            <div className="text-sm uppercase tracking-wider text-slate-400 mb-3">Sequences</div>
+            <div className="space-y-4">
+              {seqs.map((q) => (
+                <div key={q.cue}>
+                  <div className="text-lg mb-1">{q.seq.map(button).join(" → ")} <span className="text-slate-400 text-sm">to {targets(q.to)}</span></div>
+                  {Object.entries(q.steps).map(([id, steps]) => (
+                    <div key={id} className="flex items-center gap-2 text-sm mb-1">
+                      <span className="w-28 truncate">{who(id)}</span>
+                      {q.seq.map((_, i) => (
+                        <span key={i} className={`w-8 h-8 rounded-lg flex items-center justify-center ${steps[i] ? gradeColor(steps[i], a11y) : "bg-slate-800"}`} title={steps[i] || "pending"}>{i + 1}</span>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+      <div className="space-y-6">
+        <div className="rounded-3xl bg-slate-900 p-6">
+          <div className="text-sm uppercase tracking-wider text-slate-400 mb-3">Leaderboard</div>
+          {rows.length === 0 ? <div className="text-slate-500">No results yet</div> : (
+            <ol className="space-y-2">
+              {rows.map((r, i) => (
+                <li key={r.id} className="flex items-center justify-between text-2xl">
+                  <span><span className="text-slate-500 mr-3 tabular-nums">{i + 1}</span>{r.name}</span>
+                  <span className="font-bold tabular-nums">{r.score}</span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+        <div className="rounded-3xl bg-slate-900 p-6">
+          <div className="text-sm uppercase tracking-wider text-slate-400 mb-3">Results</div>
+          <div aria-live="polite" className="space-y-1 text-sm">
+            {feed.map((f, i) => (
+              <div key={`${f.at}-${i}`} className="flex items-center justify-between gap-2">
+                <span className="truncate">{who(f.id)} · {f.type === "SEQ_DONE" ? "sequence" : f.type === "WRONG_PRESS" ? `wrong press (wanted ${button(f.index)})` : button(f.index)}{f.step != null ? ` #${f.step + 1}` : ""}</span>
+                {f.grade && <span className={`px-2 py-0.5 rounded ${gradeColor(f.grade, a11y)}`}>{gradeText(f.grade, a11y)}{f.rt != null && !f.timeout ? ` ${f.rt}ms` : ""}</span>}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// -------------------- Replay viewer --------------------
+
+function ReplayViewer({ recording, a11y, onClose }) {
+  const tl = useMemo(() => replayTimeline(recording), [recording]);
+  const [t, setT] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  useEffect(() => {
+    if (!playing) return;
+    let last = perfNow();
+    const id = window.setInterval(() => {
+      const now = perfNow(); const step = (now - last) * speed; last = now;
+      setT((x) => Math.min(tl.duration, x + step));
+    }, 30);
+    return () => window.clearInterval(id);
+  }, [playing, speed, tl]);
+  useEffect(() => { if (t >= tl.duration) setPlaying(false); }, [t, tl]);
+
+  const frame = replayFrame(tl, t);
+  const names = frame.config.names;
+  const button = (i) => names[i] || `Button ${i + 1}`;
+  const who = (id) => tl.names[id] || id;
+  const secs = (ms) => `${(ms / 1000).toFixed(1)}s`;
+  const play = () => { if (t >= tl.duration) setT(0); setPlaying(true); };
+  return (
+    <div className="rounded-2xl border p-4 space-y-3">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="font-medium">Replay: {recording.fileName || `lobby ${recording.code}`}</span>
+        {recording.startedAt && <span className="text-slate-500">{new Date(recording.startedAt).toLocaleString()}</span>}
+        <div className="ml-auto flex items-center gap-2">
+          {playing
+            ? <Button size="sm" variant="outline" onClick={() => setPlaying(false)}><Pause className="h-4 w-4 mr-1"/>Pause</Button>
+            : <Button size="sm" onClick={play}><Play className="h-4 w-4 mr-1"/>Play</Button>}
+          <Select value={String(speed)} onValueChange={(v) => setSpeed(Number(v))}>
+            {REPLAY_SPEEDS.map((s) => (<SelectItem key={s} value={String(s)}>{s}×</SelectItem>))}
+          </Select>
+          <Button size="sm" variant="ghost" onClick={onClose}>Close</Button>
+        </div>
+      </div>
+      <div className="flex items-center gap-3">
+        <span className="text-xs tabular-nums w-24">{secs(t)} / {secs(tl.duration)}</span>
+        <div className="relative flex-1">
+          <input type="range" aria-label="Replay position" min={0} max={Math.ceil(tl.duration)} step={10} value={Math.round(t)} onChange={(e) => setT(Number(e.target.value))} className="w-full"/>
+          <div className="relative h-3">
+            {tl.cues.map((c) => (
+              <button key={c.cue} title={`${secs(c.t)} ${c.seq ? c.seq.map(button).join(" → ") : button(c.index)}`} onClick={() => setT(c.t)}
+                className={`absolute top-0 w-1.5 h-3 rounded-sm ${c === frame.cue ? "bg-slate-900" : "bg-slate-400"}`} style={{ left: `${tl.duration ? (c.t / tl.duration) * 100 : 0}%` }}/>
+            ))}
+          </div>
+        </div>
+      </div>
+      <div className="grid md:grid-cols-2 gap-4">
+        <BigButtons
+          count={frame.config.buttonCount}
+          names={names}
+          layout={layoutFor(frame.config.buttonCount)}
+          onPress={() => {}}
+          activeIndex={frame.lit}
+          pressedIndex={frame.pressed[0]?.index ?? null}
+          a11y={a11y}
+        />
+        <div className="text-sm space-y-1">
+          {!frame.cue ? <div className="text-slate-500">No cue yet</div> : (
+            <>
+              <div className="font-medium">
+                {frame.cue.seq ? frame.cue.seq.map(button).join(" → ") : button(frame.cue.index)} · {frame.cue.kind === "seq" ? "sequence" : frame.cue.kind} at {secs(frame.cue.t)}
+                <span className="text-slate-500 font-normal"> to {frame.cue.to == null ? "everyone" : [].concat(frame.cue.to).map(who).join(", ")}</span>
+              </div>
+              {frame.presses.map((p, i) => (
+                <div key={i} className="flex items-center gap-2 font-mono">
+                  <span className="tabular-nums text-slate-500 w-16">+{Math.round(p.t - frame.cue.t)}ms</span>
+                  <span>{who(p.from)} pressed {button(p.index)}{p.step != null ? ` (step ${p.step + 1})` : ""}</span>
+                  {p.wrong
+                    ? <span className="px-2 py-0.5 rounded-md text-xs font-semibold bg-rose-200 text-rose-900">wrong, wanted {button(p.expected)}</span>
+                    : p.grade && <span className={`px-2 py-0.5 rounded-md text-xs font-semibold ${gradeColor(p.grade, a11y)}`}>{gradeText(p.grade, a11y)}{p.rt != null ? ` ${p.rt}ms` : ""}</span>}
+                </div>
+              ))}
+              {frame.misses.map((m, i) => (
+                <div key={`m${i}`} className="font-mono text-slate-500">{who(m.from)} did not react{m.step != null ? ` (step ${m.step + 1})` : ""}</div>
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// -------------------- Target picker --------------------
+
+function TargetSelect({ value, onChange, players: roster, groups }) {
+  const players = Object.fromEntries(Object.entries(roster).filter(([, p]) => !p.leftAt));
+  return (
+    <Select value={value} onValueChange={onChange}>
+      <SelectItem value="all">Everyone</SelectItem>
+      {Object.keys(groups).length > 0 && (
+        <optgroup label="Groups">
+          {Object.entries(groups).map(([id, g]) => (<SelectItem key={id} value={`group:${id}`}>{g.name} ({g.members.filter((m) => players[m]).length})</SelectItem>))}
+        </optgroup>
+      )}
+      {Object.keys(players).length > 0 && (
+        <optgroup label="Players">
+          {Object.entries(players).map(([id, p]) => (<SelectItem key={id} value={`player:${id}`}>{p.name}</SelectItem>))}
+        </optgroup>
+      )}
+    </Select>
+  );
+}
+
+// -------------------- Preset bar --------------------
+
+function PresetBar({ presets, preset, onChoose, onLoad, onOverwrite, onSaveAs, onDuplicate, onDelete, onExport, onImport, onCopyLink, notice }) {
+  const fileRef = useRef(null);
+  const [draft, setDraft] = useState("");
+  const saveAs = () => { if (draft.trim()) { onSaveAs(draft); setDraft(""); } };
+  return (
+    <div className="border rounded-xl p-3 space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium mr-1">Preset</span>
+        <div className="w-56">
+          <Select value={preset?.id || ""} onValueChange={onChoose}>
+            <SelectItem value="">(defaults)</SelectItem>
+            {presets.map((p) => (<SelectItem key={p.id} value={p.id}>{p.name}</SelectItem>))}
+          </Select>
+        </div>
+        <Button size="sm" onClick={onLoad} disabled={!preset}>Load</Button>
+        <Button size="sm" variant="outline" onClick={onOverwrite} disabled={!preset} title="Replace the preset with the current settings">Save</Button>
+        <Button size="sm" variant="outline" onClick={onDuplicate} disabled={!preset}>Duplicate</Button>
+        <Button size="sm" variant="destructive" onClick={onDelete} disabled={!preset}><Trash2 className="h-4 w-4"/></Button>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <Input value={draft} onChange={(e) => setDraft(e.target.value)} onKeyDown={(e) => e.key === "Enter" && saveAs()} placeholder="New preset, e.g. Boss fight 6-button" className="h-9 w-64"/>
+        <Button size="sm" variant="secondary" onClick={saveAs} disabled={!draft.trim()}>Save as new</Button>
+        <Button size="sm" variant="outline" onClick={onExport} disabled={!preset}><Download className="h-4 w-4 mr-1"/>File</Button>
+        <Button size="sm" variant="outline" onClick={onCopyLink} disabled={!preset}>Copy link</Button>
+        <Button size="sm" variant="outline" onClick={() => fileRef.current?.click()}><Upload className="h-4 w-4 mr-1"/>Import</Button>
+        <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={(e) => { onImport(e.target.files?.[0]); e.target.value = ""; }}/>
+      </div>
+      {notice && <div className="text-xs text-slate-600 break-all">{notice}</div>}
+      <div className="text-xs text-slate-500">The chosen preset is also what your next lobby starts from.</div>
+    </div>
+  );
+}
+
+// -------------------- Encounter editor --------------------
+
+/** Script target picker: groups and players by name (kept when they are not in the current lobby). */
+function ScriptTargetSelect({ value, onChange, players, groups }) {
+  const groupNames = [...new Set(Object.values(groups).map((g) => g.name))];
+  const playerNames = [...new Set(Object.values(players).filter((p) => !p.leftAt).map((p) => p.name))];
+  const known = value === "all" || groupNames.some((n) => value === `group:${n}`) || playerNames.some((n) => value === `player:${n}`);
+  return (
+    <Select value={value} onValueChange={onChange}>
+      <SelectItem value="all">Everyone</SelectItem>
+      {!known && <SelectItem value={value}>{value.slice(value.indexOf(":") + 1)} (not in lobby)</SelectItem>}
+      {groupNames.length > 0 && <optgroup label="Groups">{groupNames.map((n) => (<SelectItem key={n} value={`group:${n}`}>{n}</SelectItem>))}</optgroup>}
+      {playerNames.length > 0 && <optgroup label="Players">{playerNames.map((n) => (<SelectItem key={n} value={`player:${n}`}>{n}</SelectItem>))}</optgroup>}
+    </Select>
+  );
+}
+
+function EncounterPanel({ scripts, script, onSelect, onChange, onNew, onDelete, onExport, onImport, error, names, players, groups, runner, elapsedMs, onRun, onPause, onResume, onAbort }) {
+  const fileRef = useRef(null);
+  const setStep = (i, patch) => onChange({ ...script, steps: script.steps.map((st, j) => (j === i ? { ...st, ...patch } : st)) });
+  const removeStep = (i) => onChange({ ...script, steps: script.steps.filter((_, j) => j !== i) });
+  const addStep = () => onChange({ ...script, steps: [...script.steps, newStep(Math.max(0, ...script.steps.map((st) => st.until ?? st.at)) + 1)] });
+  const seconds = (v) => Math.max(0, Math.round(Number(v || 0) * 10) / 10);
+  const next = runner?.plan[runner.next];
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2"><ListOrdered className="h-5 w-5"/>Encounters</CardTitle>
+        <CardDescription>Prepared timelines of cues that run by themselves. Steps target groups and players by name; cue params come from the Send QTE panel.</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="w-56">
+            <Select value={script?.id || ""} onValueChange={onSelect}>
+              <SelectItem value="">(choose a script)</SelectItem>
+              {scripts.map((sc) => (<SelectItem key={sc.id} value={sc.id}>{sc.name}</SelectItem>))}
+            </Select>
+          </div>
+          <Button size="sm" variant="outline" onClick={onNew}>New</Button>
+          <Button size="sm" variant="outline" onClick={() => fileRef.current?.click()}><Upload className="h-4 w-4 mr-1"/>Import</Button>
+          <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={(e) => { onImport(e.target.files?.[0]); e.target.value = ""; }}/>
+          {script && <Button size="sm" variant="outline" onClick={() => onExport(script)}><Download className="h-4 w-4 mr-1"/>Export</Button>}
+          {script && <Button size="sm" variant="destructive" onClick={() => onDelete(script.id)}><Trash2 className="h-4 w-4 mr-1"/>Delete</Button>}
+        </div>
+        {error && <div className="text-sm text-red-700">{error}</div>}
+
+        {runner && (
+          <div className="rounded-xl border px-3 py-2 text-sm flex flex-wrap items-center gap-3">
+            <span className="font-medium">{runner.name}</span>
+            <span className="tabular-nums">{(elapsedMs / 1000).toFixed(1)}s / {(runner.plan[runner.plan.length - 1].atMs / 1000).toFixed(1)}s</span>
+            <span>{runner.next}/{runner.plan.length} sent</span>
+            {next && <span className="text-slate-500">next: {describeStep(next.step, names)}</span>}
+            {runner.pausedAt && <Badge>paused</Badge>}
+            <div className="ml-auto flex gap-2">
+              <Button size="sm" variant="outline" onClick={runner.pausedAt ? onResume : onPause}>{runner.pausedAt ? "Resume" : "Pause"}</Button>
+              <Button size="sm" variant="destructive" onClick={onAbort}>Abort</Button>
+            </div>
+          </div>
+        )}
+
+        {script && (
+          <div className="space-y-2">
+            <div className="grid grid-cols-[auto_1fr] items-center gap-3">
+              <Label className="text-sm">Name</Label>
+              <Input value={script.name} onChange={(e) => onChange({ ...script, name: e.target.value })} className="h-9"/>
+            </div>
+            <div className="grid grid-cols-[5rem_4.5rem_5rem_7rem_1fr_10rem_auto] items-center gap-2 text-xs text-slate-500">
+              <span>At (s)</span><span/><span>Until (s)</span><span>Action</span><span>Button(s)</span><span>Target</span><span/>
+            </div>
+            {script.steps.map((st, i) => (
+              <div key={st.id} className="grid grid-cols-[5rem_4.5rem_5rem_7rem_1fr_10rem_auto] items-center gap-2">
+                <Input type="number" min={0} step={0.1} value={st.at} onChange={(e) => setStep(i, { at: seconds(e.target.value) })} className="h-9"/>
+                <label className="flex items-center gap-1 text-xs">
+                  <input type="checkbox" checked={st.until != null} onChange={(e) => setStep(i, { until: e.target.checked ? st.at + 1 : null })}/>random
+                </label>
+                {st.until != null
+                  ? <Input type="number" min={st.at} step={0.1} value={st.until} onChange={(e) => setStep(i, { until: Math.max(st.at, seconds(e.target.value)) })} className="h-9"/>
+                  : <span/>}
+                <Select value={st.action} onValueChange={(a) => setStep(i, { action: a })}>
+                  {ENCOUNTER_ACTIONS.map(([k, label]) => (<SelectItem key={k} value={k}>{label}</SelectItem>))}
+                </Select>
+                {st.action === "sequence" ? (
+                  <div className="flex flex-wrap items-center gap-1">
+                    {st.seq.map((b, k) => (<Badge key={k}>{names[b] || `#${b + 1}`}</Badge>))}
+                    <div className="w-24">
+                      <Select value="" onValueChange={(v) => v !== "" && setStep(i, { seq: [...st.seq, Number(v)] })}>
+                        <SelectItem value="">+ add</SelectItem>
+                        {names.map((n, b) => (<SelectItem key={b} value={String(b)}>{n}</SelectItem>))}
+                      </Select>
+                    </div>
+                    {st.seq.length > 0 && <Button size="sm" variant="ghost" onClick={() => setStep(i, { seq: [] })}>clear</Button>}
+                  </div>
+                ) : (
+                  <Select value={st.button == null ? "random" : String(st.button)} onValueChange={(v) => setStep(i, { button: v === "random" ? null : Number(v) })}>
+                    <SelectItem value="random">Random button</SelectItem>
+                    {names.map((n, b) => (<SelectItem key={b} value={String(b)}>{n}</SelectItem>))}
+                  </Select>
+                )}
+                <ScriptTargetSelect value={st.target} onChange={(t) => setStep(i, { target: t })} players={players} groups={groups}/>
+                <Button size="sm" variant="ghost" onClick={() => removeStep(i)} aria-label="Remove step"><Trash2 className="h-4 w-4"/></Button>
+              </div>
+            ))}
+            <div className="flex gap-2">
+              <Button size="sm" variant="outline" onClick={addStep}>Add step</Button>
+              <Button size="sm" onClick={() => onRun(script)} disabled={!!runner || script.steps.length === 0}><Play className="h-4 w-4 mr-1"/>Run</Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+// -------------------- Accessibility menu --------------------
+
+function A11yMenu({ settings, onChange, dark = false }) {
+  const [open, setOpen] = useState(false);
+  const set = (patch) => onChange({ ...settings, ...patch });
+  const option = (label, checked, patch) => (
+    <label className={`flex items-center gap-2 ${settings.enabled ? "" : "opacity-50"}`}>
+      <input type="checkbox" checked={checked} disabled={!settings.enabled} onChange={(e) => set(patch(e.target.checked))}/>{label}
+    </label>
+  );
+  return (
+    <div className="relative">
+      <Button variant="outline" onClick={() => setOpen((o) => !o)} aria-expanded={open}>Accessibility{settings.enabled ? ": on" : ""}</Button>
+      {open && (
+        <div className={`absolute right-0 z-40 mt-2 w-72 grid gap-2 rounded-xl border p-3 text-sm shadow-lg ${dark ? "bg-slate-800 border-slate-600 text-white" : "bg-white text-slate-900"}`}>
+          <label className="flex items-center gap-2 font-medium">
+            <input type="checkbox" checked={settings.enabled} onChange={(e) => set({ enabled: e.target.checked })}/>Accessibility mode
+          </label>
+          <div className="text-xs opacity-70">Icons and patterns for grades, a marker on the cued button, and:</div>
+          {option("Colour-blind safe palette", settings.palette === "safe", (on) => ({ palette: on ? "safe" : "standard" }))}
+          {option("High-contrast buttons", settings.highContrast, (on) => ({ highContrast: on }))}
+          {option("Reduce motion", settings.reducedMotion, (on) => ({ reducedMotion: on }))}
+          <div className="text-xs opacity-70">Cues and results are announced to screen readers either way.</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// -------------------- Sound settings --------------------
+
+function SoundSettings({ names, count, settings, onChange, onTest }) {
+  const [open, setOpen] = useState(false);
+  const set = (patch) => onChange({ ...settings, ...patch });
+  const setSound = (i, sound) => set({ sounds: Array.from({ length: Math.max(count, settings.sounds.length) }, (_, j) => (j === i ? sound : settings.sounds[j] || "tone")) });
+  return (
+    <div className="mt-4 rounded-xl border border-slate-700 p-3 text-sm">
+      <div className="flex items-center gap-3 text-slate-300">
+        <label className="flex items-center gap-2"><input type="checkbox" checked={!settings.muted} onChange={(e) => set({ muted: !e.target.checked })}/>Sound</label>
+        <input type="range" min={0} max={1} step={0.05} value={settings.volume} onChange={(e) => set({ volume: Number(e.target.value) })} disabled={settings.muted} aria-label="Volume" className="w-32"/>
+        <label className="flex items-center gap-2"><input type="checkbox" checked={settings.vibrate} onChange={(e) => set({ vibrate: e.target.checked })}/>Vibrate</label>
+        <button className="ml-auto text-xs text-slate-500" onClick={() => setOpen((o) => !o)}>{open ? "hide" : "button sounds"}</button>
+      </div>
+      {open && (
+        <div className="mt-3 grid gap-2">
+          {Array.from({ length: count }, (_, i) => (
+            <div key={i} className="grid grid-cols-[1fr_8rem_auto] items-center gap-3">
+              <span className="truncate">{names[i] || `Button ${i + 1}`}</span>
+              <Select value={settings.sounds[i] || "tone"} onValueChange={(v) => setSound(i, v)}>
+                {Object.entries(CUE_SOUNDS).map(([k, label]) => (<SelectItem key={k} value={k}>{label}</SelectItem>))}
+              </Select>
+              <Button size="sm" variant="outline" onClick={() => onTest(i)}>Test</Button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// -------------------- Input bindings --------------------
+
+function InputSettings({ names, count, bindings, rebinding, onRebind, onCancel, onReset }) {
+  const [open, setOpen] = useState(false);
+  const [pads, setPads] = useState([]);
+  useEffect(() => {
+    const update = () => setPads([...(navigator.getGamepads?.() || [])].filter(Boolean).map((p) => p.id));
+    update();
+    window.addEventListener("gamepadconnected", update);
+    window.addEventListener("gamepaddisconnected", update);
+    return () => { window.removeEventListener("gamepadconnected", update); window.removeEventListener("gamepaddisconnected", update); };
+  }, []);
+  return (
+    <div className="mt-4 rounded-xl border border-slate-700 p-3 text-sm">
+      <button className="flex w-full items-center justify-between text-slate-300" onClick={() => setOpen((o) => !o)}>
+        <span>Keys &amp; gamepad: {Array.from({ length: count }, (_, i) => keyLabel(bindings.keys[i])).join(" ")}</span>
+        <span className="text-xs text-slate-500">{pads.length ? `${pads.length} gamepad${pads.length === 1 ? "" : "s"}` : "no gamepad"} · {open ? "hide" : "rebind"}</span>
+      </button>
+      {open && (
+        <div className="mt-3 grid gap-2">
+          {Array.from({ length: count }, (_, i) => (
+            <div key={i} className="grid grid-cols-[1fr_auto_auto] items-center gap-3">
+              <span className="truncate">{names[i] || `Button ${i + 1}`}</span>
+              <span className="tabular-nums text-slate-400">{keyLabel(bindings.keys[i])} · {padLabel(bindings.pads[i] ?? -1)}</span>
+              {rebinding === i
+                ? <Button size="sm" variant="secondary" onClick={onCancel}>Press a key or pad button…</Button>
+                : <Button size="sm" variant="outline" onClick={() => onRebind(i)} disabled={rebinding != null}>Rebind</Button>}
+            </div>
+          ))}
+          <div className="flex items-center justify-between text-xs text-slate-500">
+            <span>Esc cancels. A key already in use moves to the button you rebind.</span>
+            <Button size="sm" variant="ghost" onClick={onReset}>Defaults</Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// -------------------- Transport toggle --------------------
+
+function P2pToggle({ checked, onChange, disabled }) {
+  return (
+    <label className={`flex items-center gap-2 text-xs ${disabled ? "opacity-50" : ""}`}>
+      <input type="checkbox" checked={checked} disabled={disabled} onChange={(e) => onChange(e.target.checked)}/>
+      Peer-to-peer (WebRTC), relay as fallback
+    </label>
+  );
+}
+
 // -------------------- Big Buttons Component --------------------
 
-function BigButtons({ count, names, layout, onPress, activeIndex, playerMode = false, pressedIndex = null }) {
+/** onPress / onPressStart / onPressEnd get (index, at): `at` from the pointer event's timestamp; a tap counts from its pointer down. */
+function BigButtons({ count, names, layout, onPress, onPressStart, onPressEnd, activeIndex, activeVisual = null, playerMode = false, pressedIndex = null, a11y = null }) {
   const buttons = Array.from({ length: count }, (_, i) => ({ i, label: names[i] || `Button ${i + 1}` }));
+  const downAt = useRef({});
   const cols = count <= 4 ? 2 : 3;
   return (
     <div className={cols === 2 ? "grid gap-3 grid-cols-2" : "grid gap-3 grid-cols-3"}>
       {buttons.map((b) => (
-        <QTEButton key={b.i} label={b.label} active={activeIndex === b.i} onClick={() => onPress(b.i)} playerMode={playerMode} dim={pressedIndex === b.i}/>
+        <QTEButton
+          key={b.i}
+          label={b.label}
+          active={activeIndex === b.i}
+          visual={activeIndex === b.i ? activeVisual : null}
+          onClick={(e) => { const at = e.detail > 0 && downAt.current[b.i] != null ? downAt.current[b.i] : inputTime(e.timeStamp); delete downAt.current[b.i]; onPress(b.i, at); }}
+          onPointerDown={(e) => {
+            downAt.current[b.i] = inputTime(e.timeStamp);
+            if (onPressStart) { e.currentTarget.setPointerCapture?.(e.pointerId); onPressStart(b.i, downAt.current[b.i]); }
+          }}
+          onPointerUp={onPressEnd && ((e) => onPressEnd(b.i, inputTime(e.timeStamp)))}
+          onPointerCancel={onPressEnd && ((e) => onPressEnd(b.i, inputTime(e.timeStamp)))}
+          playerMode={playerMode}
+          a11y={a11y}
+          dim={pressedIndex === b.i}
+        />
       ))}
     </div>
   );
 }
 
-function QTEButton({ label, onClick, active, playerMode = false, dim = false }) {
+const CUE_HINT = { hold: "HOLD", mash: "MASH", release: "HOLD · RELEASE" };
+
+function QTEButton({ label, onClick, onPointerDown, onPointerUp, onPointerCancel, active, visual = null, playerMode = false, dim = false, a11y = null }) {
+  const contrast = playerMode && a11y?.enabled && a11y.highContrast;
+  const still = a11y?.enabled && a11y.reducedMotion; // the system preference is handled by motion-safe:
+  const look = contrast
+    ? (active ? "bg-yellow-300 text-black border-[6px] border-white outline outline-4 outline-black scale-[1.02]" : "bg-black text-white border-white")
+    : `${active ? (playerMode ? "border-yellow-400 shadow-[0_0_0_6px_rgba(250,204,21,0.35)] scale-[1.02]" : "border-slate-800 scale-[1.01]") : "border-slate-300"} ${playerMode ? "bg-slate-800 text-white" : "bg-white text-slate-900"}`;
   return (
     <button
       onClick={onClick}
-      className={`relative overflow-hidden h-28 md:h-40 lg:h-52 rounded-2xl text-xl md:text-2xl font-semibold flex items-center justify-center select-none border-2 transition-transform ${active ? (playerMode ? "border-yellow-400 shadow-[0_0_0_6px_rgba(250,204,21,0.35)] scale-[1.02]" : "border-slate-800 scale-[1.01]") : "border-slate-300"} ${playerMode ? "bg-slate-800 text-white" : "bg-white text-slate-900"} ${dim ? "opacity-70" : ""}`}
+      onPointerDown={onPointerDown}
+      onPointerUp={onPointerUp}
+      onPointerCancel={onPointerCancel}
+      aria-label={active && playerMode ? `${label}, now` : label}
+      className={`relative overflow-hidden h-28 md:h-40 lg:h-52 rounded-2xl text-xl md:text-2xl font-semibold flex items-center justify-center select-none border-2 ${still ? "" : "motion-safe:transition-transform"} ${look} ${dim ? "opacity-70" : ""}`}
       style={{ touchAction: "manipulation" }}
     >
       {/* Active cue pulse ring (player side) */}
-      {active && playerMode && <span className="absolute inset-0 rounded-2xl animate-ping bg-yellow-300/25" />}
+      {active && playerMode && !still && !contrast && <span className="absolute inset-0 rounded-2xl motion-safe:animate-ping bg-yellow-300/25" />}
+      {/* Active cue marker that does not rely on colour */}
+      {active && playerMode && a11y?.enabled && <span aria-hidden="true" className="absolute bottom-5 text-sm font-black tracking-[0.3em]">▲ NOW ▲</span>}
       {/* Click flash overlay */}
       {dim && <span className="absolute inset-0 rounded-2xl bg-white/50" />}
-      <span className={`${active ? "animate-pulse" : ""}`}>{label}</span>
+      {/* Hold / mash / release progress */}
+      {visual && <span className="absolute top-2 left-3 text-xs tracking-widest text-yellow-300">{CUE_HINT[visual.kind]}</span>}
+      {visual?.counter && <span className="absolute top-2 right-3 text-lg font-bold tabular-nums">{visual.counter}</span>}
+      {visual && (
+        <span className="absolute left-0 right-0 bottom-0 h-3 bg-slate-900/60">
+          {visual.window && <span className="absolute inset-y-0 bg-green-500/70" style={{ left: `${visual.window[0] * 100}%`, width: `${(visual.window[1] - visual.window[0]) * 100}%` }} />}
+          <span className="absolute inset-y-0 left-0 bg-yellow-400" style={{ width: `${visual.progress * 100}%` }} />
+        </span>
+      )}
+      <span className={active && !still ? "motion-safe:animate-pulse" : ""}>{label}</span>
     </button>
   );
 }
 
+// -------------------- Scoreboard --------------------
+
+function GradeBar({ grades, a11y = null }) {
+  const total = GRADES.reduce((acc, g) => acc + (grades[g] || 0), 0);
+  if (total === 0) return <div className="h-3 rounded bg-slate-200"/>;
+  return (
+    <div className="flex h-3 rounded overflow-hidden" title={GRADES.map((g) => `${g}: ${grades[g] || 0}`).join(", ")}>
+      {GRADES.filter((g) => grades[g]).map((g) => (<div key={g} className={gradeColor(g, a11y)} style={{ width: `${(grades[g] / total) * 100}%`, backgroundImage: a11y?.enabled ? GRADE_PATTERNS[g] : undefined }}/>))}
+    </div>
+  );
+}
+
+function Scoreboard({ stats, names, points, onReset, actions = null, notice = null, a11y = null }) {
+  const rows = Object.entries(stats.players)
+    .map(([id, p]) => ({ id, ...p, score: scoreFor(p.grades, { ...DEFAULT_POINTS, ...points }), all: summarize(Object.values(p.buttons).flatMap((b) => b.rts)) }))
+    .sort((a, b) => b.score - a.score);
+  const fmt = (v) => (v == null ? "—" : `${v}ms`);
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          Scoreboard
+          <div className="flex gap-2">
+            {actions}
+            {onReset && <Button size="sm" variant="outline" onClick={onReset} disabled={rows.length === 0}>Reset</Button>}
+          </div>
+        </CardTitle>
+        <CardDescription>Per player and button: count, mean / median / best reaction, grade distribution</CardDescription>
+        {notice && <div className="text-sm mt-2">{notice}</div>}
+      </CardHeader>
+      <CardContent>
+        {rows.length === 0 ? (
+          <div className="text-sm text-slate-500">No results yet.</div>
+        ) : (
+          <div className="space-y-4">
+            {rows.map((r, rank) => (
+              <div key={r.id} className="border rounded-xl p-3">
+                <div className="grid grid-cols-[2rem_1fr_auto] items-center gap-3 mb-2">
+                  <div className="text-lg font-bold text-slate-500">#{rank + 1}</div>
+                  <div>
+                    <div className="font-semibold">{r.name}</div>
+                    <div className="text-xs text-slate-500 tabular-nums">
+                      {r.all.count} presses · mean {fmt(r.all.mean)} · median {fmt(r.all.median)} · best {fmt(r.all.best)}
+                      {r.sequences > 0 && ` · ${r.sequences} sequences (avg ${Math.round(r.seqTotalMs / r.sequences)}ms)`}
+                      {r.mistakes > 0 && ` · ${r.mistakes} wrong presses`}
+                    </div>
+                  </div>
+                  <div className="text-2xl font-bold tabular-nums">{r.score}</div>
+                </div>
+                <GradeBar grades={r.grades} a11y={a11y}/>
+                <div className="mt-2 grid gap-1">
+                  {Object.entries(r.buttons).sort(([a], [b]) => a - b).map(([index, b]) => {
+                    const sm = summarize(b.rts);
+                    return (
+                      <div key={index} className="grid grid-cols-[8rem_1fr_10rem] items-center gap-3 text-xs tabular-nums">
+                        <span className="truncate">{names[index] || `Button ${Number(index) + 1}`} ×{b.count}{b.mistakes > 0 && <span className="text-rose-700"> ✗{b.mistakes}</span>}</span>
+                        <span className="text-slate-500">mean {fmt(sm.mean)} · median {fmt(sm.median)} · best {fmt(sm.best)}</span>
+                        <GradeBar grades={b.grades} a11y={a11y}/>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
 // -------------------- Tiny Dev Tests --------------------
 
 function TestRunner() {
@@ -637,6 +3509,359 @@ function TestRunner() {
         const r1 = gradeWithLeniency(120, t, 0); if (r1 !== "Success") throw new Error("no-len");
         const r2 = gradeWithLeniency(120, t, 30); if (r2 !== "Perfect") throw new Error("len-applied");
       }},
+      { name: "clock sample offset/rtt", fn: () => {
+        // host is 1000ms ahead, 20ms each way, 5ms processing
+        const s = clockSample(0, 1020, 1025, 45);
+        if (s.offset !== 1000) throw new Error(`offset ${s.offset}`); if (s.rtt !== 40) throw new Error(`rtt ${s.rtt}`);
+      }},
+      { name: "estimateClock prefers fastest round trip", fn: () => {
+        const e = estimateClock([{ offset: 30, rtt: 200 }, { offset: 10, rtt: 20 }, { offset: 14, rtt: 60 }]);
+        if (e.offset !== 10 || e.rtt !== 20) throw new Error(`${e.offset}/${e.rtt}`);
+        if (e.jitter <= 0) throw new Error("jitter");
+        if (estimateClock([]).offset !== 0) throw new Error("empty");
+      }},
+      { name: "results store aggregates per player/button", fn: () => {
+        let st = emptyStats();
+        st = applyResult(st, { type: "QTE_RESULT", from: "p1", name: "Ann", index: 0, rt: 100, grade: "Perfect" });
+        st = applyResult(st, { type: "SEQ_STEP_RESULT", from: "p1", name: "Ann", index: 0, step: 0, rt: 300, grade: "Success" });
+        st = applyResult(st, { type: "QTE_RESULT", from: "p1", name: "Ann", index: 0, rt: 1200, grade: "Failure", timeout: true });
+        st = applyResult(st, { type: "SEQ_DONE", from: "p1", name: "Ann", totalMs: 900 });
+        const p = st.players.p1; const b = p.buttons[0];
+        if (b.count !== 3 || b.rts.length !== 2) throw new Error("counts");
+        if (p.grades.Perfect !== 1 || p.grades.Failure !== 1 || p.sequences !== 1) throw new Error("grades/seq");
+        if (scoreFor(p.grades, DEFAULT_POINTS) !== 170) throw new Error("score");
+      }},
+      { name: "wrong presses count as mistakes on the cued button", fn: () => {
+        const st = applyResult(emptyStats(), toRecord({ type: "WRONG_PRESS", from: "p1", name: "Ann", index: 2, expected: 0, policy: "ignore" }, 0));
+        const p = st.players.p1;
+        if (p.mistakes !== 1 || p.buttons[0].mistakes !== 1 || p.buttons[0].count !== 0) throw new Error("mistakes");
+        if (Object.keys(p.grades).length !== 0) throw new Error("graded");
+        const failed = toRecord({ type: "QTE_RESULT", from: "p1", name: "Ann", index: 0, pressed: 2, rt: 90, grade: "Failure" }, 0);
+        const q = applyResult(emptyStats(), failed).players.p1;
+        if (q.grades.Failure !== 1 || q.buttons[0].rts.length !== 0 || tuningSample(failed, defaultConfig("X").thresholds) !== null) throw new Error("wrong press counted as a reaction");
+      }},
+      { name: "summarize mean/median/best", fn: () => {
+        const s = summarize([300, 100, 200, 400]);
+        if (s.count !== 4 || s.mean !== 250 || s.median !== 250 || s.best !== 100) throw new Error(JSON.stringify(s));
+        if (summarize([]).mean !== null) throw new Error("empty");
+      }},
+      { name: "CSV export escapes and labels buttons", fn: () => {
+        const csv = resultsToCsv([toRecord({ type: "QTE_RESULT", from: "p1", name: 'Bob, "the" Brave', index: 1, rt: 210, grade: "Success" }, 0)], ["Dodge", "Block"]);
+        const [head, row] = csv.split("\n");
+        if (head !== CSV_COLUMNS.join(",")) throw new Error("header");
+        if (!row.includes('"Bob, ""the"" Brave"') || !row.includes(",Block,")) throw new Error(row);
+      }},
+      { name: "session JSON round-trips", fn: () => {
+        const rec = toRecord({ type: "SEQ_DONE", from: "p1", name: "Ann", totalMs: 800 }, 5);
+        const back = parseSession(sessionToJson(defaultConfig("ABCDE"), [rec]));
+        if (back.config.code !== "ABCDE" || back.results.length !== 1 || back.results[0].totalMs !== 800) throw new Error("round-trip");
+        let threw = false; try { parseSession("{}"); } catch { threw = true; } if (!threw) throw new Error("accepted junk");
+      }},
+      { name: "sequenceVerdict rules", fn: () => {
+        const g = ["Perfect", "Slow", "Success"];
+        if (sequenceVerdict(g, { rule: "worst" }) !== "Slow") throw new Error("worst");
+        if (sequenceVerdict(g, { rule: "average" }) !== "Success") throw new Error("average");
+        if (sequenceVerdict(["Perfect", "Failure", "Perfect"], { rule: "misses", misses: 1 }) !== "Perfect") throw new Error("misses ok");
+        if (sequenceVerdict(["Perfect", "Failure", "Failure"], { rule: "misses", misses: 1 }) !== "Failure") throw new Error("misses over");
+        if (sequenceVerdict([]) !== "Failure") throw new Error("empty");
+      }},
+      { name: "hold/mash/release grading", fn: () => {
+        const t = { perfect: 100, success: 200, close: 300, slow: 400, timeout: 500 };
+        if (gradeHold(80, 1000, 1000, t) !== "Perfect" || gradeHold(80, 999, 1000, t) !== "Failure") throw new Error("hold");
+        if (gradeMash(900, 2000) !== "Perfect" || gradeMash(1900, 2000) !== "Slow" || gradeMash(2100, 2000) !== "Failure") throw new Error("mash");
+        if (gradeRelease(1150, 1000, 300) !== "Perfect" || gradeRelease(1010, 1000, 300) !== "Close call") throw new Error("release inside");
+        if (gradeRelease(950, 1000, 300) !== "Slow" || gradeRelease(1600, 1000, 300) !== "Failure") throw new Error("release outside");
+      }},
+      { name: "cue deadlines per kind", fn: () => {
+        const t = { perfect: 100, success: 200, close: 300, slow: 400, timeout: 500 };
+        if (cueDeadlineMs({ kind: "single" }, t) !== 500) throw new Error("single");
+        if (cueDeadlineMs({ kind: "hold", holdMs: 800 }, t) !== 1300) throw new Error("hold");
+        if (cueDeadlineMs({ kind: "mash", count: 5, windowMs: 2000 }, t) !== 2000) throw new Error("mash");
+        if (cueDeadlineMs({ kind: "release", openMs: 1000, windowMs: 200 }, t) !== 1300) throw new Error("release");
+      }},
+      { name: "resolveTarget / isAddressedTo", fn: () => {
+        const players = { a: { name: "Ann" }, b: { name: "Bob" } };
+        const groups = { g1: { name: "Party A", members: ["a", "gone"] } };
+        const all = resolveTarget("all", players, groups);
+        if (all.ids.length !== 2 || all.to !== undefined) throw new Error("all");
+        const grp = resolveTarget("group:g1", players, groups);
+        if (grp.label !== "Party A" || JSON.stringify(grp.to) !== '["a"]') throw new Error("group");
+        if (resolveTarget("player:b", players, groups).label !== "Bob") throw new Error("player");
+        const left = { ...players, c: { name: "Cy", leftAt: 1 } };
+        if (resolveTarget("all", left, groups).ids.includes("c") || resolveTarget("player:c", left, groups).ids.length) throw new Error("left player targeted");
+        if (resolveTarget("group:g1", left, { g1: { name: "P", members: ["a", "c"] } }).ids.join() !== "a") throw new Error("left member targeted");
+        if (!isAddressedTo({}, "a") || !isAddressedTo({ to: ["a"] }, "a") || isAddressedTo({ to: ["a"] }, "b") || !isAddressedTo({ to: "b" }, "b")) throw new Error("addressed");
+      }},
+      { name: "presence status and pruning", fn: () => {
+        const pr = { staleMs: 1000, removeMs: 5000 };
+        if (presenceOf({ lastSeen: 0 }, 999, pr) !== "online" || presenceOf({ lastSeen: 0 }, 1000, pr) !== "stale") throw new Error("stale");
+        if (presenceOf({ lastSeen: 0, leftAt: 10 }, 20, pr) !== "offline") throw new Error("offline");
+        const players = { a: { lastSeen: 0 }, b: { lastSeen: 4000 } };
+        if (prunePlayers(players, 4999, pr) !== players) throw new Error("identity");
+        const pruned = prunePlayers(players, 5000, pr);
+        if (pruned.a || !pruned.b) throw new Error("prune");
+      }},
+      { name: "kicked players stay out for the grace period", fn: () => {
+        const kicked = new Map([["a", 1000]]);
+        if (!recentlyKicked(kicked, "a", 1000 + KICK_GRACE_MS - 1) || recentlyKicked(kicked, "a", 1000 + KICK_GRACE_MS)) throw new Error("grace");
+        if (recentlyKicked(kicked, "b", 1000)) throw new Error("not kicked");
+      }},
+      { name: "uniqueName disambiguates duplicates", fn: () => {
+        const players = { a: { name: "Bob" }, b: { name: "bob (2)" } };
+        if (uniqueName("Bob", players, "c") !== "Bob (3)") throw new Error("dup");
+        if (uniqueName("Bob", players, "a") !== "Bob") throw new Error("self");
+        if (uniqueName("  Ann ", players, "c") !== "Ann") throw new Error("trim");
+        const long = "x".repeat(250);
+        if (uniqueName(long, {}, "c").length !== NAME_MAX || uniqueName(long, { a: { name: "x".repeat(NAME_MAX) } }, "c").length !== NAME_MAX) throw new Error("too long");
+      }},
+      { name: "bus.post reports malformed messages instead of throwing", fn: () => {
+        const bus = mkBus(`T${cueId()}`); const seen = [];
+        const off = bus.on((ev) => seen.push(ev));
+        try {
+          bus.post(draft.HELLO({ from: "p1", name: "x".repeat(300) }));
+          if (!seen.some((ev) => ev.type === "__STATUS__" && /outgoing HELLO/.test(ev.dropped || ""))) throw new Error("not reported");
+        } finally { off(); bus.destroy(); }
+      }},
+      { name: "host-only message types", fn: () => {
+        for (const t of ["CONFIG", "QTE_SINGLE", "QTE_HOLD", "SEQ_BEGIN", "KICK"]) if (!isHostOnly({ type: t })) throw new Error(t);
+        for (const t of ["HELLO", "QTE_RESULT", "SEQ_DONE", "HEARTBEAT", "NET_PING"]) if (isHostOnly({ type: t })) throw new Error(t);
+        if (!isHostOnly({ type: "NET_PONG", sync: true }) || isHostOnly({ type: "NET_PONG" })) throw new Error("pong");
+        if (fromHost({ __host: false }) || !fromHost({}) || !fromHost({ __host: true })) throw new Error("fromHost");
+      }},
+      { name: "expiredCues honours deadline + grace", fn: () => {
+        const pending = { a: { c1: { deadline: 1000 }, c2: { deadline: 5000 } }, b: { c3: { deadline: 1000 } } };
+        if (expiredCues(pending, 1000 + TIMEOUT_GRACE_MS).length !== 0) throw new Error("early");
+        const out = expiredCues(pending, 1001 + TIMEOUT_GRACE_MS);
+        if (out.length !== 2 || out.some((c) => c.cue === "c2")) throw new Error("expired set");
+        if (out[0].player !== "a" || out[1].player !== "b") throw new Error("player id");
+      }},
+      { name: "protocol constructors and validation", fn: () => {
+        const hello = make.HELLO({ lobby: "ABCDE", from: "p1", name: "Ann" });
+        if (hello.v !== PROTOCOL_VERSION || !validateMessage(hello).ok) throw new Error("hello");
+        if (!validateMessage(makeMessage("QTE_HOLD", { cue: "c", index: 1, holdMs: 800, ts: 1 })).ok) throw new Error("hold");
+        let threw = false; try { make.SEQ_BEGIN({ cue: "c", seq: [], ts: 1 }); } catch { threw = true; } if (!threw) throw new Error("empty seq");
+        if (validateMessage({ ...hello, from: 42 }).ok || validateMessage({ ...hello, type: "NOPE" }).ok) throw new Error("accepted junk");
+      }},
+      { name: "protocol version mismatch", fn: () => {
+        const check = validateMessage({ type: "HELLO", from: "p1", name: "Ann" });
+        if (check.ok || check.version !== 0) throw new Error("unversioned");
+        if (validateMessage({ v: PROTOCOL_VERSION + 1, type: "WHATEVER" }).version !== PROTOCOL_VERSION + 1) throw new Error("newer");
+        if (versionNotice(PROTOCOL_VERSION + 1) === versionNotice(0)) throw new Error("notice");
+      }},
+      { name: "delivery acks and de-duplication", fn: () => {
+        const sent = [];
+        const host = mkDelivery({ isHost: true, clientId: "h", lobby: "L", transmit: (ev) => sent.push(ev), isOnline: () => true, onPending: () => {}, onGiveUp: () => {} });
+        host.send(make.CONFIG({ config: {} }), ["p1", "p2"]);
+        host.send(make.PONG({ from: "h" }));
+        const mid = sent[0].mid;
+        if (!mid || sent[1].mid || host.pendingCount() !== 1) throw new Error("tracking");
+        host.receive(make.ACK({ from: "p1", mid }));
+        if (host.pendingCount() !== 1) throw new Error("early settle");
+        host.receive(make.ACK({ from: "p2", mid }));
+        if (host.pendingCount() !== 0) throw new Error("settle");
+        const result = { ...make.QTE_RESULT({ from: "p1", cue: "c", index: 0, grade: "Perfect" }), mid: "p1:1" };
+        if (!host.receive(result) || host.receive(result)) throw new Error("dedup");
+        if (sent.filter((ev) => ev.type === "ACK").length !== 2 || sent.find((ev) => ev.type === "ACK").to !== "p1") throw new Error("acks");
+        host.close();
+        const out = [];
+        const player = mkDelivery({ isHost: false, clientId: "p1", lobby: "L", transmit: (ev) => out.push(ev), isOnline: () => true, onPending: () => {}, onGiveUp: () => {} });
+        player.receive({ ...make.QTE_SINGLE({ cue: "c1", to: "p2", index: 0, ts: 1 }), mid: "h:1" });
+        player.receive({ ...make.QTE_SINGLE({ cue: "c2", to: ["p1"], index: 0, ts: 1 }), mid: "h:2" });
+        if (out.length !== 1 || out[0].mid !== "h:2") throw new Error("acked a cue for someone else");
+      }},
+      { name: "a rebuilt bus with the same client id is not taken for repeats", fn: () => {
+        const receiver = mkDelivery({ isHost: true, clientId: "h", lobby: "L", transmit: () => {}, isOnline: () => true, onPending: () => {}, onGiveUp: () => {} });
+        const result = make.QTE_RESULT({ from: "p1", cue: "c", index: 0, grade: "Perfect" });
+        const got = [];
+        for (let i = 0; i < 2; i++) {
+          const sent = [];
+          const player = mkDelivery({ isHost: false, clientId: "p1", lobby: "L", transmit: (ev) => sent.push(ev), isOnline: () => true, onPending: () => {}, onGiveUp: () => {} });
+          player.send(result);
+          got.push(receiver.receive(sent[0]));
+          player.close();
+        }
+        if (!got[0] || !got[1]) throw new Error("second bus dropped as a repeat");
+      }},
+      { name: "planEncounter timing and random buttons", fn: () => {
+        const script = { id: "s", name: "S", steps: [
+          { ...newStep(3), button: null },
+          { ...newStep(1), until: 2 },
+          { ...newStep(0.5), action: "sequence", seq: [5, 6] },
+          { ...newStep(2), action: "sequence", seq: [1, 7, 0] },
+        ] };
+        const plan = planEncounter(script, 4, () => 0.5);
+        if (plan.map((p) => p.atMs).join(",") !== "1500,2000,3000") throw new Error(plan.map((p) => p.atMs).join(","));
+        if (plan[2].index !== 2 || plan[0].index !== 0) throw new Error("buttons");
+        if (plan[1].seq.join(",") !== "1,0") throw new Error("sequence filter");
+      }},
+      { name: "encounter targets and file round trip", fn: () => {
+        const players = { p1: { name: "Ann" }, p2: { name: "Bob" } };
+        const groups = { g1: { name: "Party A", members: ["p2", "gone"] } };
+        if (resolveScriptTarget("group:Party A", players, groups).ids.join() !== "p2") throw new Error("group");
+        if (resolveScriptTarget("player:Ann", players, groups).to.join() !== "p1") throw new Error("player");
+        if (resolveScriptTarget("player:Cid", players, groups).ids.length !== 0) throw new Error("missing");
+        const script = { ...newScript("Boss"), steps: [{ ...newStep(2), target: "group:Party A" }] };
+        const back = parseEncounter(encounterToJson(script));
+        if (back.id === script.id || back.name !== "Boss" || back.steps[0].target !== "group:Party A") throw new Error("round trip");
+        const bad = [{ ...newStep(1), target: null }, { ...newStep(1), until: "3" }, { ...newStep(1), button: 1.5 }, { ...newStep(1), action: "sequence", seq: [0, "x"] }, { ...newStep(1), action: "sequence" }];
+        const mixed = parseEncounter(encounterToJson({ ...script, steps: [...bad, { ...newStep(4), until: 5, button: null }] }));
+        if (mixed.steps.length !== 1 || mixed.steps[0].until !== 5 || mixed.steps[0].button !== null) throw new Error("bad steps kept");
+        let threw = false;
+        try { parseEncounter("{\"format\":\"x\"}"); } catch { threw = true; }
+        if (!threw) throw new Error("accepted junk");
+      }},
+      { name: "applyPreset keeps the code and normalizes buttons", fn: () => {
+        const next = applyPreset(defaultConfig("ABCDE"), { buttonCount: 9, names: ["Dodge", 3], thresholds: { perfect: 90 }, code: "ZZZZZ", glowGapMs: 200 });
+        if (next.code !== "ABCDE" || next.buttonCount !== 6 || next.names.length !== 6) throw new Error("shape");
+        if (next.names[1] !== "Button 2" || next.thresholds.perfect !== 90 || next.thresholds.timeout !== 1200 || next.glowGapMs !== 200) throw new Error("merge");
+        if ("code" in presetFromConfig("P", next).settings) throw new Error("preset kept the code");
+      }},
+      { name: "preset file and link round trip", fn: () => {
+        const p = presetFromConfig("Höhle 6-button", applyPreset(defaultConfig("X"), { buttonCount: 6, leniencyMs: 40 }));
+        const link = presetLink(p, { origin: "https://hunt.example", pathname: "/" });
+        const back = presetFromHash(link.slice(link.indexOf("#")));
+        if (back.id === p.id || back.name !== p.name || back.settings.buttonCount !== 6 || back.settings.leniencyMs !== 40) throw new Error("link");
+        if (parsePreset(presetToJson(p)).settings.names.length !== 6) throw new Error("file");
+        if (presetFromHash("#other=1") !== null) throw new Error("no preset");
+        let threw = false; try { presetFromHash("#preset=%%%"); } catch { threw = true; } if (!threw) throw new Error("damaged link");
+      }},
+      { name: "preset fields of the wrong type fall back to defaults", fn: () => {
+        const bad = { thresholds: { perfect: "fast", success: -5, slow: 700 }, points: { Perfect: "lots", Slow: 5 }, leniencyMs: "40", glowGapMs: null, hostFlashMs: Infinity,
+          seqVerdict: { rule: "best", misses: 2 }, wrongPress: { policy: "penalty", penaltyMs: {} }, presence: { staleMs: -1 }, adaptive: { enabled: "yes", window: 0, minScale: 0.5 } };
+        const s = parsePreset(JSON.stringify({ format: PRESET_FORMAT, version: 1, preset: { name: "Bad", settings: bad } })).settings, d = defaultConfig("");
+        if (s.thresholds.perfect !== d.thresholds.perfect || s.thresholds.success !== d.thresholds.success || s.thresholds.slow !== 700) throw new Error("thresholds");
+        if (s.points.Perfect !== DEFAULT_POINTS.Perfect || s.points.Slow !== 5) throw new Error("points");
+        if (s.leniencyMs !== d.leniencyMs || s.glowGapMs !== d.glowGapMs || s.hostFlashMs !== d.hostFlashMs) throw new Error("timings");
+        if (s.seqVerdict.rule !== "worst" || s.seqVerdict.misses !== 2 || s.wrongPress.policy !== "penalty" || s.wrongPress.penaltyMs !== d.wrongPress.penaltyMs) throw new Error("rules");
+        if (s.presence.staleMs !== DEFAULT_PRESENCE.staleMs || s.adaptive.enabled !== false || s.adaptive.window !== DEFAULT_ADAPTIVE.window || s.adaptive.minScale !== 0.5) throw new Error("presence / adaptive");
+      }},
+      { name: "adaptive thresholds follow the median within bounds", fn: () => {
+        const t = defaultConfig("X").thresholds; const a = { enabled: true, minScale: 0.7, maxScale: 1.5, window: 5 };
+        if (adaptiveThresholds(t, [400, 400], a) !== null) throw new Error("too few samples");
+        const slow = adaptiveThresholds(t, [360, 390, 420], a);
+        if (slow.success !== 390 || slow.perfect !== 200 || slow.timeout !== t.timeout) throw new Error(`scaled ${slow.perfect}/${slow.success}`);
+        if (adaptiveThresholds(t, [2000, 2000, 2000], a).success !== 450) throw new Error("max bound");
+        if (adaptiveThresholds(t, [900, 900, 100, 100, 100, 100, 100], a).success !== 210) throw new Error("min bound / window");
+        if (tuningSample({ type: "QTE_RESULT", kind: "mash", rt: 50 }, t) !== null || tuningSample({ type: "SEQ_STEP_RESULT", timeout: true }, t) !== t.timeout) throw new Error("samples");
+        if (thresholdsFor({ thresholds: t, playerThresholds: { p1: slow } }, "p1") !== slow || thresholdsFor({ thresholds: t }, "p2") !== t) throw new Error("thresholdsFor");
+      }},
+      { name: "rebind moves keys and pad buttons", fn: () => {
+        const b = rebind(rebind(DEFAULT_BINDINGS, 0, { key: "Digit2" }), 3, { pad: 0 });
+        if (b.keys[0] !== "Digit2" || b.keys[1] !== "" || b.pads[3] !== 0 || b.pads[0] !== -1) throw new Error(JSON.stringify(b));
+        if (DEFAULT_BINDINGS.keys[1] !== "Digit2") throw new Error("mutated defaults");
+        if (keyLabel("Digit7") !== "7" || keyLabel("KeyQ") !== "Q" || padLabel(4) !== "LB" || padLabel(-1) !== "—") throw new Error("labels");
+      }},
+      { name: "keyboard input with timestamps and capture", fn: () => {
+        const got = [];
+        const input = mkInput({ bindings: { keys: ["KeyQ", "KeyW"], pads: [] }, onDown: (i, at) => got.push(["down", i, at]), onUp: (i, at) => got.push(["up", i, at]) });
+        const key = (type, code, repeat = false) => window.dispatchEvent(new KeyboardEvent(type, { code, repeat, cancelable: true }));
+        try {
+          key("keydown", "KeyW"); key("keydown", "KeyW", true); key("keyup", "KeyW"); key("keydown", "KeyE");
+          if (got.map(([k, i]) => `${k}${i}`).join() !== "down1,up1") throw new Error(got.map(([k, i]) => `${k}${i}`).join());
+          if (!(Math.abs(got[0][2] - Date.now()) < 1000)) throw new Error("timestamp");
+          let captured = null; input.capture((c) => { captured = c; });
+          key("keydown", "KeyE"); key("keyup", "KeyE");
+          if (captured?.key !== "KeyE" || got.length !== 2) throw new Error("capture");
+        } finally { input.stop(); }
+      }},
+      { name: "feedback voices and grade sounds", fn: () => {
+        if (GRADES.some((g) => !GRADE_NOTES[g]?.length || !GRADE_VIBRATION[g])) throw new Error("grade without sound");
+        if (new Set(GRADES.map((g) => JSON.stringify(GRADE_NOTES[g]))).size !== GRADES.length) throw new Error("grades share a sound");
+        if (cueNotes("none", 440).length !== 0 || cueNotes("chime", 440)[0].freq !== 880 || cueNotes("unknown", 440)[0].freq !== 440) throw new Error("voices");
+        if (Object.keys(CUE_SOUNDS).some((k) => !Array.isArray(cueNotes(k, 440)))) throw new Error("voice list");
+        const fb = mkFeedback(); fb.cue(0, { ...DEFAULT_FEEDBACK, muted: true, vibrate: false }); fb.close();
+        // Autoplay policy: resume() rejects without a user gesture, which must not surface as an unhandled rejection
+        const real = window.AudioContext; let handled = 0;
+        const rejecting = () => { const p = Promise.reject(new Error("no gesture")); const c = p.catch.bind(p); p.catch = (f) => { handled++; return c(f); }; return p; };
+        window.AudioContext = class { state = "suspended"; resume() { return rejecting(); } close() { return rejecting(); } };
+        try { const fb2 = mkFeedback(); fb2.unlock(); fb2.close(); } finally { window.AudioContext = real; }
+        if (handled !== 2) throw new Error("audio promise left unhandled");
+      }},
+      { name: "accessibility palette, icons and announcements", fn: () => {
+        const on = { ...defaultA11y(), enabled: true, palette: "safe" };
+        if (GRADES.some((g) => gradeColor(g, on) === gradeColor(g))) throw new Error("palette not switched");
+        if (new Set(GRADES.map((g) => gradeColor(g, on))).size !== GRADES.length || new Set(GRADES.map((g) => GRADE_ICONS[g])).size !== GRADES.length) throw new Error("not distinct");
+        if (gradeColor("Perfect", { ...on, enabled: false }) !== gradeColor("Perfect") || gradeText("Failure", on) !== "✕ Failure" || gradeText("Failure", null) !== "Failure") throw new Error("mode off");
+        const names = ["Dodge", "Block"];
+        if (cueAnnouncement(names, 1, { kind: "hold", holdMs: 800 }, null) !== "Block, hold 800 milliseconds") throw new Error("hold");
+        if (cueAnnouncement(names, 0, null, { at: 1, seq: [1, 0, 1] }) !== "Dodge, step 2 of 3") throw new Error("sequence");
+      }},
+      { name: "spectator folds cues, results and sequences", fn: () => {
+        let st = emptySpectator();
+        const feed = [
+          { type: "HELLO", from: "a", name: "Ann" },
+          { type: "QTE_SINGLE", cue: "c1", index: 2, ts: 1 },
+          { type: "QTE_RESULT", from: "a", cue: "c1", index: 2, rt: 200, grade: "Perfect" },
+          { type: "SEQ_BEGIN", cue: "s1", seq: [0, 1], to: ["a"], ts: 2 },
+          { type: "SEQ_STEP_RESULT", from: "a", cue: "s1", step: 0, index: 0, rt: 300, grade: "Success" },
+          { type: "SEQ_DONE", from: "a", cue: "s1", grades: ["Success"], verdict: "Success" },
+          { type: "NAME", to: "a", name: "Ann (2)" },
+        ];
+        for (const ev of feed) st = spectatorReduce(st, ev, 5);
+        if (st.live?.cue !== "s1" || st.live.results.a !== "Success" || st.seqs[0].steps.a.join() !== "Success") throw new Error("live / sequence");
+        if (st.feed.length !== 3 || st.feed[0].type !== "SEQ_DONE" || st.names.a !== "Ann (2)") throw new Error("feed / names");
+        const [top] = leaderboard(st.stats, st.names, DEFAULT_POINTS);
+        if (top.name !== "Ann (2)" || top.score !== DEFAULT_POINTS.Perfect + DEFAULT_POINTS.Success) throw new Error(`score ${top.score}`);
+      }},
+      { name: "recording keeps game messages and replays presses", fn: () => {
+        const rec = newRecording("ABCDE", defaultConfig("ABCDE"), 0);
+        const add = (ev, dir, t) => recordEvent(rec, { v: 1, ...ev }, dir, t);
+        add({ type: "HELLO", from: "a", name: "Ann" }, "in", 10);
+        if (add({ type: "HEARTBEAT", from: "a" }, "in", 20) || add({ type: "__STATUS__" }, "in", 20)) throw new Error("kept keep-alive");
+        add({ type: "QTE_SINGLE", cue: "c1", index: 1, ts: 1, mid: "h:1" }, "out", 1000);
+        add({ type: "WRONG_PRESS", from: "a", cue: "c1", index: 0, expected: 1 }, "in", 1150);
+        add({ type: "QTE_RESULT", from: "a", cue: "c1", index: 1, rt: 300, grade: "Close call" }, "in", 1340);
+        add({ type: "CONFIG", config: { ...rec.config, names: ["A", "B"] } }, "out", 2000);
+        if (rec.events.length !== 5 || rec.events[1].ev.mid) throw new Error("events");
+        const tl = replayTimeline(parseRecording(recordingToJson(rec)));
+        if (tl.names.a !== "Ann" || tl.cues.length !== 1) throw new Error("timeline");
+        const f = replayFrame(tl, 1310);
+        if (f.lit !== 1 || f.presses.length !== 2 || !f.presses[0].wrong || f.pressed[0]?.index !== 1 || f.presses[1].t !== 1300) throw new Error("frame");
+        if (replayFrame(tl, 900).cue || replayFrame(tl, 2100).config.names[0] !== "A") throw new Error("config / before first cue");
+        let threw = false; try { parseRecording(sessionToJson(rec.config, [])); } catch { threw = true; } if (!threw) throw new Error("accepted a session file");
+      }},
+      { name: "host session save, resume and client id", fn: () => {
+        const mem = {}; const storage = { getItem: (k) => mem[k] ?? null, setItem: (k, v) => { mem[k] = v; }, removeItem: (k) => { delete mem[k]; } };
+        const log = Array.from({ length: SAVED_LOG_LIMIT + 5 }, (_, i) => ({ line: `entry ${i}` }));
+        saveHostSession({ code: "ABCDE", hostKey: "k", relayUrl: "", p2p: true, config: defaultConfig("ABCDE"), players: { a: { name: "Ann", lastSeen: 1 }, b: { name: "Bo", lastSeen: 1, leftAt: 2 } }, groups: {}, banned: ["x"], log, results: [] }, storage);
+        const s = loadHostSession(storage);
+        if (s?.code !== "ABCDE" || s.log.length !== SAVED_LOG_LIMIT || s.log[0].line !== "entry 0" || s.banned[0] !== "x") throw new Error("round trip");
+        if (loadHostSession(storage, Date.now() + HOST_SESSION_MAX_AGE_MS + 1)) throw new Error("stale session offered");
+        const roster = resumedRoster(s.players, 500);
+        if (Object.keys(roster).join() !== "a" || roster.a.lastSeen !== 500) throw new Error("roster");
+        clearHostSession(storage); if (loadHostSession(storage)) throw new Error("not cleared");
+        const id = persistentClientId(storage);
+        if (!id || persistentClientId(storage) !== id || persistentClientId(null) === id) throw new Error("client id");
+        const fresh = persistentClientId(storage, true);
+        if (fresh === id || persistentClientId(storage) !== fresh) throw new Error("fresh id not kept");
+      }},
+      { name: "a reloaded host resumes with its persisted id and is still heard", fn: () => {
+        const mem = {}; const storage = { getItem: (k) => mem[k] ?? null, setItem: (k, v) => { mem[k] = v; }, removeItem: (k) => { delete mem[k]; } };
+        const acks = [];
+        const player = mkDelivery({ isHost: false, clientId: "p1", lobby: "ABCDE", transmit: (ev) => acks.push(ev), isOnline: () => true, onPending: () => {}, onGiveUp: () => {} });
+        const hostBus = () => {
+          const sent = [];
+          const bus = mkDelivery({ isHost: true, clientId: persistentClientId(storage), lobby: "ABCDE", transmit: (ev) => sent.push(ev), isOnline: () => true, onPending: () => {}, onGiveUp: () => {} });
+          return { bus, sent };
+        };
+        const before = hostBus();
+        saveHostSession({ code: "ABCDE", hostKey: "k", relayUrl: "", p2p: false, config: defaultConfig("ABCDE"), players: { p1: { name: "Ann", lastSeen: 1 } }, groups: {}, banned: [], log: [], results: [] }, storage);
+        before.bus.send(make.CONFIG({ lobby: "ABCDE", config: defaultConfig("ABCDE") }), ["p1"]);
+        if (!player.receive(before.sent[0])) throw new Error("first CONFIG");
+        before.bus.close();
+        // reload: same tab storage, so the same client id; the resumed lobby re-broadcasts CONFIG
+        const s = loadHostSession(storage); const after = hostBus();
+        after.bus.send(make.CONFIG({ lobby: s.code, config: s.config }), Object.keys(resumedRoster(s.players)));
+        if (after.sent[0].mid.split(":")[0] !== before.sent[0].mid.split(":")[0]) throw new Error("client id not kept");
+        if (!player.receive(after.sent[0])) throw new Error("resumed CONFIG dropped as a repeat");
+        if (acks.length !== 2 || acks[1].mid !== after.sent[0].mid) throw new Error("acks");
+        after.bus.close(); player.close();
+      }},
+      { name: "spectator bus never posts", fn: () => {
+        const sent = []; const bus = listenOnly({ post: (ev) => sent.push(ev), on: () => () => {} });
+        bus.post(make.HELLO({ from: "x", name: "Spy" }));
+        if (sent.length || typeof bus.on !== "function") throw new Error("posted");
+      }},
     ];
     const res = tests.map((t) => { try { t.fn(); return { name: t.name, ok: true }; } catch (e) { return { name: t.name, ok: false, msg: e && e.message }; } });
     setOut(res);
@@ -0,0 +1,156 @@
+/**
+ * Caveman Hunt – wire protocol shared by the app (src/App.jsx) and the relay (server.js)
+ * ---------------------------------------------------------------------------------------
+ * Every bus message is a flat object `{ v, type, lobby?, ...fields }`. Build them with `make.<TYPE>()`
+ * (stamps the version, throws on a malformed message) and check incoming ones with `validateMessage()`.
+ * A message from a different PROTOCOL_VERSION is reported as incompatible rather than guessed at.
+ * Plain JS with no imports, so Node can load it as-is.
+ */
+
+/** Bump whenever a message shape changes incompatibly. */
+export const PROTOCOL_VERSION = 1;
+
+// -------------------- Types --------------------
+
+/** @typedef {"single"|"hold"|"mash"|"release"} CueKind */
+export const CUE_TYPES = { single: "QTE_SINGLE", hold: "QTE_HOLD", mash: "QTE_MASH", release: "QTE_RELEASE" };
+export const CUE_KIND_BY_TYPE = Object.fromEntries(Object.entries(CUE_TYPES).map(([k, v]) => [v, k]));
+/** Cues (single or sequence) that players answer with results. */
+export const isCueMessage = (ev) => !!ev && (!!CUE_KIND_BY_TYPE[ev.type] || ev.type === "SEQ_BEGIN");
+
+/**
+ * Messages only the host may send. Over the relay, the host proves its role with a per-lobby secret
+ * (HOST_CLAIM on every connect, which also reclaims the role after a reconnect); the relay drops these
+ * types from other sockets and stamps host traffic with `host: true`. A sync NET_PONG is the host's clock.
+ */
+export const HOST_ONLY_TYPES = new Set(["CONFIG", "PONG", ...Object.values(CUE_TYPES), "SEQ_BEGIN", "KICK", "NAME"]);
+export const isHostOnly = (ev) => !!ev && (HOST_ONLY_TYPES.has(ev.type) || (ev.type === "NET_PONG" && !!ev.sync));
+
+/**
+ * Delivery classes. Reliable messages carry a message id (`mid`), are re-sent until acknowledged
+ * (ACK: players acknowledge the host's messages, the host acknowledges players') and are de-duplicated
+ * on receipt. Volatile messages are only worth sending now: they are never queued while offline.
+ */
+export const RELIABLE_TYPES = new Set(["CONFIG", ...Object.values(CUE_TYPES), "SEQ_BEGIN", "KICK", "NAME", "QTE_RESULT", "SEQ_STEP_RESULT", "SEQ_DONE", "WRONG_PRESS"]);
+export const VOLATILE_TYPES = new Set(["HEARTBEAT", "PONG", "NET_PING", "NET_PONG", "SIGNAL", "ACK"]);
+
+/** Relay close codes (1009 comes from ws itself when a frame exceeds maxPayload) and readable reasons. */
+export const CLOSE_CODES = { ROOM_FULL: 4001, TOO_MANY_ROOMS: 4002, INVALID: 4003, RATE_LIMITED: 4008 };
+export const CLOSE_REASONS = {
+  1009: "message too large",
+  4001: "room full",
+  4002: "relay has too many rooms",
+  4003: "too many invalid messages",
+  4008: "rate limited",
+};
+
+// -------------------- Cue timing --------------------
+
+/** How long after its start a cue of this kind (with its params) may stay unanswered. */
+export function cueDeadlineMs(cue, t) {
+  switch (cue.kind) {
+    case "hold": return t.timeout + cue.holdMs;
+    case "mash": return cue.windowMs;
+    case "release": return cue.openMs + cue.windowMs * 1.5;
+    default: return t.timeout;
+  }
+}
+
+/** Lifetime of a cue message as sent (sequences: every step at most timeout + glow gap). */
+export function cueLifetimeMs(ev, config) {
+  const t = { timeout: 1200, ...config?.thresholds };
+  if (ev.type === "SEQ_BEGIN") return (ev.seq?.length || 1) * (t.timeout + (config?.glowGapMs ?? 120));
+  return cueDeadlineMs({ ...ev, kind: CUE_KIND_BY_TYPE[ev.type] }, t);
+}
+
+// -------------------- Schemas --------------------
+
+const is = {
+  id: (v) => typeof v === "string" && v.length > 0 && v.length <= 64,
+  str: (v) => typeof v === "string" && v.length <= 200,
+  int: (v) => Number.isInteger(v) && v >= 0,
+  num: (v) => typeof v === "number" && Number.isFinite(v),
+  obj: (v) => !!v && typeof v === "object" && !Array.isArray(v),
+  list: (v) => Array.isArray(v) && v.length <= 64,
+};
+is.target = (v) => is.id(v) || (is.list(v) && v.every(is.id));
+const opt = (check) => (v) => v == null || check(v);
+
+const COMMON = { lobby: opt(is.str), mid: opt(is.id) };
+const CUE = { cue: is.id, to: opt(is.target), index: is.int, ts: is.num };
+const RESULT = { from: is.id, cue: is.id, name: opt(is.str) };
+
+/** Required / optional fields per message type (other fields pass through unchecked). */
+const SCHEMA = {
+  HELLO: { from: is.id, name: is.str },
+  HEARTBEAT: { from: is.id },
+  BYE: { from: is.id },
+  PONG: { from: is.id },
+  CONFIG: { config: is.obj },
+  KICK: { to: is.id, reason: opt(is.str) },
+  NAME: { to: is.id, name: is.str },
+  QTE_SINGLE: CUE,
+  QTE_HOLD: { ...CUE, holdMs: is.num },
+  QTE_MASH: { ...CUE, count: is.int, windowMs: is.num },
+  QTE_RELEASE: { ...CUE, openMs: is.num, windowMs: is.num },
+  SEQ_BEGIN: { cue: is.id, to: opt(is.target), seq: (v) => is.list(v) && v.length > 0 && v.every(is.int), ts: is.num },
+  QTE_RESULT: { ...RESULT, index: is.int, grade: is.str },
+  SEQ_STEP_RESULT: { ...RESULT, step: is.int, index: is.int, grade: is.str },
+  SEQ_DONE: { ...RESULT, grades: (v) => is.list(v) && v.every(is.str), rts: opt(is.list) },
+  WRONG_PRESS: { ...RESULT, index: is.int, expected: is.int, step: opt(is.int) },
+  NET_PING: { from: is.id },
+  NET_PONG: { from: is.id, to: opt(is.id) },
+  // Routed by the relay to the original sender only: the host (from a player) or the player `to` (from the host)
+  ACK: { from: is.id, to: opt(is.id), mid: is.id },
+  // WebRTC signaling (offer / answer / ICE candidate), routed by the relay between a player and the host
+  SIGNAL: { from: is.id, to: opt(is.id), sdp: opt(is.obj), candidate: opt(is.obj) },
+};
+export const MESSAGE_TYPES = Object.keys(SCHEMA);
+
+/**
+ * Envelope field `skip`: client ids (or "host") the sender already reached peer-to-peer; the relay does
+ * not forward that message to them (it still sees it, so its room state stays current).
+ */
+export const isSkipList = (v) => is.list(v) && v.every(is.id);
+
+/**
+ * @typedef {{ok:true} | {ok:false, error:string, version?:number}} Validation
+ * `version` is set (to the sender's version, 0 if it had none) when the versions do not match.
+ */
+
+/** @returns {Validation} */
+export function validateMessage(ev) {
+  if (!is.obj(ev) || typeof ev.type !== "string") return { ok: false, error: "not a message" };
+  if (ev.v !== PROTOCOL_VERSION) return { ok: false, error: "protocol version", version: Number.isInteger(ev.v) ? ev.v : 0 };
+  const schema = SCHEMA[ev.type];
+  if (!schema) return { ok: false, error: `unknown type ${ev.type}` };
+  for (const [key, check] of Object.entries({ ...COMMON, ...schema })) {
+    if (!check(ev[key])) return { ok: false, error: `bad ${ev.type}.${key}` };
+  }
+  return { ok: true };
+}
+
+/** Build a message of `type`; throws on fields that the receiving side would reject. */
+export function makeMessage(type, fields) {
+  const ev = { v: PROTOCOL_VERSION, type, ...fields };
+  const check = validateMessage(ev);
+  if (!check.ok) throw new Error(`Invalid ${type} message: ${check.error}`);
+  return ev;
+}
+
+/** Per-type constructors: `make.HELLO({ lobby, from, name })` */
+export const make = Object.fromEntries(MESSAGE_TYPES.map((type) => [type, (fields) => makeMessage(type, fields)]));
+
+/**
+ * Unchecked counterparts of makeMessage / make, for senders that validate when the message goes out
+ * (the app's bus.post reports a malformed message instead of throwing out of effects and listeners).
+ */
+export const draftMessage = (type, fields) => ({ v: PROTOCOL_VERSION, type, ...fields });
+export const draft = Object.fromEntries(MESSAGE_TYPES.map((type) => [type, (fields) => draftMessage(type, fields)]));
+
+/** What to tell the user when a peer (or the relay) speaks another protocol version. */
+export function versionNotice(theirs) {
+  return theirs > PROTOCOL_VERSION
+    ? "This page is out of date for this lobby. Please refresh to get the latest version."
+    : "A device in this lobby is running an older version of the app. Ask them to refresh their page.";
+}